@@ -1,4 +1,6 @@
 // lib/activecampaign/client.js
+const { getResponseKey } = require('../sync/registry');
+const { acquireToken, pauseRequests } = require('../utils/rate-limiter');
 
 const AC_API_URL = process.env.AC_API_URL;
 const AC_API_KEY = process.env.AC_API_KEY;
@@ -7,6 +9,23 @@ if (!AC_API_URL || !AC_API_KEY) {
   throw new Error('Missing ActiveCampaign credentials: AC_API_URL and AC_API_KEY must be set');
 }
 
+const DEFAULT_RETRY_AFTER_MS = 1000; // 429 without a usable Retry-After header
+
+/**
+ * Error response from the ActiveCampaign API
+ * retryable is false for client errors that will fail the same way again (400, 401, 403, 404, 422...);
+ * 408, 429 and 5xx are worth retrying, after retryAfterMs when the API said how long to wait
+ */
+class ActiveCampaignError extends Error {
+  constructor(status, body, retryAfterMs = null) {
+    super(`ActiveCampaign API error (${status}): ${body}`);
+    this.name = 'ActiveCampaignError';
+    this.status = status;
+    this.retryable = status === 408 || status === 429 || status >= 500;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
 /**
  * Make a request to ActiveCampaign API
  * @param {string} endpoint - API endpoint (e.g., '/contacts')
@@ -28,6 +47,9 @@ async function acRequest(endpoint, params = {}) {
     }
   });
 
+  // Shared with every other request in this process (see lib/utils/rate-limiter.js)
+  await acquireToken();
+
   console.log(`[DEBUG] Requesting: ${url.toString()}`);
 
   const response = await fetch(url.toString(), {
@@ -39,12 +61,35 @@ async function acRequest(endpoint, params = {}) {
 
   if (!response.ok) {
     const errorText = await response.text();
-    throw new Error(`ActiveCampaign API error (${response.status}): ${errorText}`);
+    let retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+
+    if (response.status === 429) {
+      retryAfterMs = retryAfterMs === null ? DEFAULT_RETRY_AFTER_MS : retryAfterMs;
+      pauseRequests(retryAfterMs);
+    }
+
+    throw new ActiveCampaignError(response.status, errorText, retryAfterMs);
   }
 
   return response.json();
 }
 
+/**
+ * Parse a Retry-After header (delay in seconds, or an HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number|null} Delay in milliseconds, or null if absent or unparseable
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  if (/^\d+$/.test(value.trim())) {
+    return parseInt(value) * 1000;
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
 /**
  * Fetch all records using pagination
  * @param {string} endpoint - API endpoint
@@ -94,26 +139,47 @@ async function fetchPage(endpoint, page, options = {}) {
   return extractRecords(response, endpoint);
 }
 
+/**
+ * Fetch the page of records that follows an id (keyset pagination)
+ * Unlike offsets, an id cursor does not shift when records are created or deleted mid-sync.
+ * additionalParams must carry the id ordering (orders[id]=ASC) the cursor relies on
+ * @param {string} endpoint - API endpoint
+ * @param {string|number} afterId - Highest id already fetched (0 for the first page)
+ * @param {Object} options - Options
+ * @param {number} options.limit - Records per page (default 100)
+ * @param {string} options.idParam - Filter taking the id (e.g. 'id_greater')
+ * @param {Object} options.additionalParams - Additional query parameters
+ * @returns {Promise<Array>} Records for this page
+ */
+async function fetchPageAfter(endpoint, afterId, options = {}) {
+  const { limit = 100, idParam, additionalParams = {} } = options;
+
+  const response = await acRequest(endpoint, {
+    limit,
+    ...additionalParams,
+    [idParam]: afterId
+  });
+
+  return extractRecords(response, endpoint);
+}
+
+/**
+ * Keyset cursor after a page: its highest id
+ * @param {Array} records - Records on the page (non-empty)
+ * @returns {string} Id to fetch after
+ */
+function getKeysetCursor(records) {
+  return String(Math.max(...records.map(record => Number(record.id))));
+}
+
 /**
  * Extract records from API response
- * Different endpoints use different keys
+ * Different endpoints use different keys, declared in lib/sync/registry.js
  */
 function extractRecords(response, endpoint) {
-  // Map endpoints to their response keys
-  if (endpoint.includes('/contacts')) {
-    return response.contacts || [];
-  } else if (endpoint.includes('/deals')) {
-    return response.deals || [];
-  } else if (endpoint.includes('/dealGroups')) {
-    return response.dealGroups || [];
-  } else if (endpoint.includes('/dealStages')) {
-    return response.dealStages || [];
-  } else if (endpoint.includes('/users')) {
-    return response.users || [];
-  } else if (endpoint.includes('/fields')) {
-    return response.fields || response.fieldOptions || [];
-  } else if (endpoint.includes('/dealCustomFieldMeta')) {
-    return response.dealCustomFieldMeta || [];
+  const responseKey = getResponseKey(endpoint);
+  if (responseKey) {
+    return response[responseKey] || [];
   }
   
   // Fallback: try to find an array in the response
@@ -137,8 +203,11 @@ async function fetchMetadata(endpoint) {
 }
 
 module.exports = {
+  ActiveCampaignError,
   acRequest,
   fetchFirstPage,
   fetchPage,
+  fetchPageAfter,
+  getKeysetCursor,
   fetchMetadata
 };
\ No newline at end of file
@@ -0,0 +1,165 @@
+// lib/db/change-log.js
+const { neon } = require('@neondatabase/serverless');
+
+/**
+ * Record-level change log (migrations/011_change_log.sql)
+ * Each contacts and deals sync is diffed against the dataset it replaces, so consumers
+ * can tail /api/changes instead of re-reading everything
+ */
+
+const INSERT_CHUNK_SIZE = 1000;
+
+/**
+ * Diff two versions of a dataset and append the changes
+ * Nothing is logged when there is no previous dataset: the first sync is a baseline,
+ * not a change (read it with /api/export)
+ * @param {string} dataType - Data type (entity name)
+ * @param {Array} previousRecords - Stored records before this sync
+ * @param {Array} currentRecords - Records as stored by this sync
+ * @param {string} syncId - Sync identifier
+ * @param {Object} options - Options
+ * @param {boolean} options.partial - Both arrays only hold the records of a single-record patch
+ * @returns {Promise<number>} Number of change rows written
+ */
+async function recordChanges(dataType, previousRecords, currentRecords, syncId, options = {}) {
+  if (!options.partial && previousRecords.length === 0) {
+    console.log(`[${syncId}] No previous ${dataType} data, skipping change log`);
+    return 0;
+  }
+
+  const rows = diffRecords(previousRecords, currentRecords);
+
+  if (rows.length === 0) {
+    return 0;
+  }
+
+  const sql = neon(process.env.DATABASE_URL);
+
+  for (let i = 0; i < rows.length; i += INSERT_CHUNK_SIZE) {
+    const chunk = rows.slice(i, i + INSERT_CHUNK_SIZE);
+
+    await sql`
+      INSERT INTO ac_change_log (data_type, record_id, change_type, changed_fields, changes, sync_id)
+      SELECT ${dataType}, r.record_id, r.change_type, ARRAY(SELECT jsonb_array_elements_text(r.changed_fields)), r.changes, ${syncId}
+      FROM jsonb_to_recordset(${JSON.stringify(chunk)}::jsonb) AS r(
+        record_id BIGINT, change_type TEXT, changed_fields JSONB, changes JSONB
+      )
+    `;
+  }
+
+  console.log(`[${syncId}] Recorded ${rows.length} ${dataType} changes`);
+  return rows.length;
+}
+
+/**
+ * Compare records by id
+ * A record flagged deleted (DELETION_MODE=mark) or missing from the new dataset
+ * (DELETION_MODE=remove) is logged as deleted once
+ * @param {Array} previousRecords - Records before
+ * @param {Array} currentRecords - Records after
+ * @returns {Array} Change rows ({ record_id, change_type, changed_fields, changes })
+ */
+function diffRecords(previousRecords, currentRecords) {
+  const previousById = new Map(previousRecords.map(record => [String(record.id), record]));
+  const rows = [];
+
+  for (const record of currentRecords) {
+    const id = String(record.id);
+    const previous = previousById.get(id);
+    previousById.delete(id);
+
+    if (!previous) {
+      if (!record.deleted) {
+        rows.push({ record_id: id, change_type: 'created', changed_fields: [], changes: null });
+      }
+      continue;
+    }
+
+    const changes = diffFields(previous, record);
+    const changedFields = Object.keys(changes);
+
+    if (changedFields.length === 0) continue;
+
+    if (record.deleted && !previous.deleted) {
+      rows.push({ record_id: id, change_type: 'deleted', changed_fields: changedFields, changes });
+    } else {
+      rows.push({ record_id: id, change_type: 'updated', changed_fields: changedFields, changes });
+    }
+  }
+
+  // Whatever is left was removed from the dataset
+  for (const [id, previous] of previousById) {
+    if (!previous.deleted) {
+      rows.push({ record_id: id, change_type: 'deleted', changed_fields: [], changes: null });
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Top-level fields whose values differ (nested objects are compared as a whole)
+ * @returns {Object} { field: { old, new } }
+ */
+function diffFields(previous, current) {
+  const changes = {};
+  const fields = new Set([...Object.keys(previous), ...Object.keys(current)]);
+
+  for (const field of fields) {
+    const oldValue = previous[field] === undefined ? null : previous[field];
+    const newValue = current[field] === undefined ? null : current[field];
+
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes[field] = { old: oldValue, new: newValue };
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Read logged changes in the order they were recorded
+ * @param {string} dataType - Data type (entity name)
+ * @param {Object} options - Options
+ * @param {string|null} options.since - Only changes detected at or after this time
+ * @param {number|null} options.after - Only changes with a larger id (resume token)
+ * @param {string|null} options.recordId - Only changes to this record
+ * @param {number} options.limit - Maximum number of rows
+ * @returns {Promise<Array>} Change log rows
+ */
+async function getChanges(dataType, { since = null, after = null, recordId = null, limit = 100 } = {}) {
+  const sql = neon(process.env.DATABASE_URL);
+
+  return sql`
+    SELECT id, record_id, change_type, changed_fields, changes, detected_at, sync_id
+    FROM ac_change_log
+    WHERE data_type = ${dataType}
+      AND (${since}::timestamptz IS NULL OR detected_at >= ${since})
+      AND (${after}::bigint IS NULL OR id > ${after})
+      AND (${recordId}::bigint IS NULL OR record_id = ${recordId})
+    ORDER BY id
+    LIMIT ${limit}
+  `;
+}
+
+/**
+ * All changes logged by one sync, in the order they were recorded
+ * @param {string} syncId - Sync identifier
+ * @returns {Promise<Array>} Change log rows (with data_type)
+ */
+async function getSyncChanges(syncId) {
+  const sql = neon(process.env.DATABASE_URL);
+
+  return sql`
+    SELECT id, data_type, record_id, change_type, changed_fields, changes, detected_at
+    FROM ac_change_log
+    WHERE sync_id = ${syncId}
+    ORDER BY id
+  `;
+}
+
+module.exports = {
+  recordChanges,
+  getChanges,
+  getSyncChanges
+};
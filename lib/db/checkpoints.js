@@ -0,0 +1,216 @@
+// lib/db/checkpoints.js
+const { neon } = require('@neondatabase/serverless');
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+/**
+ * Page-level sync checkpoints (see migrations/014_sync_checkpoints.sql)
+ * Every page an entity sync fetches is staged here as it arrives, so a run that times out or
+ * crashes midway leaves its progress behind and the next run only fetches the missing pages
+ */
+
+const PAGES_PER_READ = 50; // Staged pages loaded per query when resuming
+
+/**
+ * Get the interrupted fetch of an entity
+ * @param {string} entity - Entity name (e.g., 'contacts')
+ * @returns {Promise<Object|null>} Checkpoint row with pages_completed, or null if there is none
+ */
+async function getCheckpoint(entity) {
+  try {
+    const sql = neon(process.env.DATABASE_URL);
+
+    const result = await sql`
+      SELECT
+        c.entity,
+        c.sync_id,
+        c.sync_mode,
+        c.pagination,
+        c.cursor,
+        c.params,
+        c.total_records,
+        c.total_pages,
+        c.started_at,
+        c.updated_at,
+        COUNT(p.page_number)::int AS pages_completed
+      FROM ac_sync_checkpoints c
+      LEFT JOIN ac_sync_checkpoint_pages p ON p.entity = c.entity
+      WHERE c.entity = ${entity}
+      GROUP BY c.entity
+    `;
+
+    return result[0] || null;
+  } catch (error) {
+    console.error(`Failed to retrieve sync checkpoint for ${entity}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * List every interrupted fetch (for /api/sync-status)
+ * @returns {Promise<Array>} Checkpoint rows with pages_completed
+ */
+async function listCheckpoints() {
+  const sql = neon(process.env.DATABASE_URL);
+
+  return sql`
+    SELECT
+      c.entity,
+      c.sync_id,
+      c.sync_mode,
+      c.pagination,
+      c.total_records,
+      c.total_pages,
+      c.started_at,
+      c.updated_at,
+      COUNT(p.page_number)::int AS pages_completed
+    FROM ac_sync_checkpoints c
+    LEFT JOIN ac_sync_checkpoint_pages p ON p.entity = c.entity
+    GROUP BY c.entity
+    ORDER BY c.entity
+  `;
+}
+
+/**
+ * Start a new checkpoint for an entity, discarding any previous one
+ * @param {string} entity - Entity name
+ * @param {Object} checkpoint - Fetch being started
+ * @param {string} checkpoint.syncId - Sync identifier
+ * @param {string} checkpoint.syncMode - 'full' or 'incremental'
+ * @param {string} checkpoint.pagination - 'offset' or 'keyset'
+ * @param {Object} checkpoint.params - Query parameters every page is fetched with
+ * @param {number} checkpoint.totalRecords - Total reported by the first page
+ * @param {number} checkpoint.totalPages - Pages to fetch
+ */
+async function createCheckpoint(entity, checkpoint) {
+  const { syncId, syncMode, pagination = 'offset', params, totalRecords, totalPages } = checkpoint;
+
+  try {
+    const sql = neon(process.env.DATABASE_URL);
+
+    await sql.transaction([
+      sql`DELETE FROM ac_sync_checkpoints WHERE entity = ${entity}`,
+      sql`
+        INSERT INTO ac_sync_checkpoints (entity, sync_id, sync_mode, pagination, params, total_records, total_pages)
+        VALUES (${entity}, ${syncId}, ${syncMode}, ${pagination}, ${JSON.stringify(params)}::jsonb, ${totalRecords}, ${totalPages})
+      `
+    ]);
+  } catch (error) {
+    console.error(`Failed to create sync checkpoint for ${entity}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Stage one fetched page
+ * @param {string} entity - Entity name
+ * @param {number} pageNumber - 1-based page number
+ * @param {Array} records - Records on the page
+ * @param {string|null} cursor - Keyset cursor after this page (keyset fetches only)
+ */
+async function saveCheckpointPage(entity, pageNumber, records, cursor = null) {
+  const sql = neon(process.env.DATABASE_URL);
+  const compressed = await gzip(JSON.stringify(records));
+
+  await sql`
+    INSERT INTO ac_sync_checkpoint_pages (entity, page_number, records, record_count)
+    VALUES (${entity}, ${pageNumber}, ${compressed}, ${records.length})
+    ON CONFLICT (entity, page_number) DO UPDATE SET
+      records = EXCLUDED.records,
+      record_count = EXCLUDED.record_count,
+      fetched_at = NOW()
+  `;
+
+  await sql`
+    UPDATE ac_sync_checkpoints
+    SET cursor = COALESCE(${cursor === null ? null : String(cursor)}, cursor), updated_at = NOW()
+    WHERE entity = ${entity}
+  `;
+}
+
+/**
+ * Page numbers already staged for an entity
+ * @param {string} entity - Entity name
+ * @returns {Promise<number[]>} Page numbers in ascending order
+ */
+async function getCheckpointPageNumbers(entity) {
+  const sql = neon(process.env.DATABASE_URL);
+
+  const result = await sql`
+    SELECT page_number FROM ac_sync_checkpoint_pages
+    WHERE entity = ${entity}
+    ORDER BY page_number
+  `;
+
+  return result.map(row => row.page_number);
+}
+
+/**
+ * Count the records staged for an entity, without loading them
+ * @param {string} entity - Entity name
+ * @returns {Promise<number>} Staged records
+ */
+async function getCheckpointRecordCount(entity) {
+  const sql = neon(process.env.DATABASE_URL);
+
+  const [result] = await sql`
+    SELECT COALESCE(SUM(record_count), 0)::int AS record_count
+    FROM ac_sync_checkpoint_pages
+    WHERE entity = ${entity}
+  `;
+
+  return result.record_count;
+}
+
+/**
+ * Load every staged record of an entity, in page order
+ * @param {string} entity - Entity name
+ * @returns {Promise<Array>} Records
+ */
+async function getCheckpointRecords(entity) {
+  const sql = neon(process.env.DATABASE_URL);
+  const records = [];
+  let afterPage = 0;
+
+  for (;;) {
+    const rows = await sql`
+      SELECT page_number, records FROM ac_sync_checkpoint_pages
+      WHERE entity = ${entity} AND page_number > ${afterPage}
+      ORDER BY page_number
+      LIMIT ${PAGES_PER_READ}
+    `;
+
+    for (const row of rows) {
+      const buffer = Buffer.isBuffer(row.records) ? row.records : Buffer.from(row.records);
+      records.push(...JSON.parse((await gunzip(buffer)).toString('utf8')));
+    }
+
+    if (rows.length < PAGES_PER_READ) break;
+    afterPage = rows[rows.length - 1].page_number;
+  }
+
+  return records;
+}
+
+/**
+ * Drop an entity's checkpoint and staged pages
+ * @param {string} entity - Entity name
+ */
+async function deleteCheckpoint(entity) {
+  const sql = neon(process.env.DATABASE_URL);
+  await sql`DELETE FROM ac_sync_checkpoints WHERE entity = ${entity}`;
+}
+
+module.exports = {
+  getCheckpoint,
+  listCheckpoints,
+  createCheckpoint,
+  saveCheckpointPage,
+  getCheckpointPageNumbers,
+  getCheckpointRecordCount,
+  getCheckpointRecords,
+  deleteCheckpoint
+};
@@ -0,0 +1,234 @@
+// lib/db/deal-history.js
+const { neon } = require('@neondatabase/serverless');
+
+/**
+ * Deal stage-change history (migrations/010_deal_history.sql)
+ * Transitions are detected by comparing the stored deals before and after each sync,
+ * and feed the pipeline velocity reports below
+ */
+
+const TRACKED_FIELDS = ['stage', 'status', 'value', 'owner'];
+const INSERT_CHUNK_SIZE = 1000;
+const STATUS_NAMES = { '0': 'open', '1': 'won', '2': 'lost' };
+
+/**
+ * Append the transitions between two versions of the deals dataset
+ * @param {Array} previousDeals - Stored deals before this sync
+ * @param {Array} currentDeals - Deals as stored by this sync
+ * @param {string} syncId - Sync identifier
+ * @param {Object} options - Options
+ * @param {boolean} options.partial - Both arrays only hold the deals of a single-record patch
+ * @returns {Promise<number>} Number of history rows written
+ */
+async function recordDealTransitions(previousDeals, currentDeals, syncId, options = {}) {
+  const previousById = new Map(previousDeals.map(deal => [String(deal.id), deal]));
+  const isFirstSync = !options.partial && previousDeals.length === 0;
+  const rows = [];
+
+  for (const deal of currentDeals) {
+    if (deal.deleted) continue;
+
+    const previous = previousById.get(String(deal.id));
+
+    if (!previous) {
+      // Starting point for time-in-stage; only a new deal's entry time is actually known
+      rows.push(toHistoryRow(deal, 'stage', null, isFirstSync ? null : deal.cdate));
+      continue;
+    }
+
+    TRACKED_FIELDS.forEach(field => {
+      if (normalize(previous[field]) !== normalize(deal[field])) {
+        rows.push(toHistoryRow(deal, field, previous, deal.mdate));
+      }
+    });
+  }
+
+  if (rows.length === 0) {
+    return 0;
+  }
+
+  const sql = neon(process.env.DATABASE_URL);
+
+  for (let i = 0; i < rows.length; i += INSERT_CHUNK_SIZE) {
+    const chunk = rows.slice(i, i + INSERT_CHUNK_SIZE);
+
+    await sql`
+      INSERT INTO ac_deal_history (
+        deal_id, field, old_value, new_value, old_label, new_label,
+        pipeline_id, pipeline_title, stage_id, stage_title, stage_order,
+        deal_created_at, changed_at, sync_id
+      )
+      SELECT
+        r.deal_id, r.field, r.old_value, r.new_value, r.old_label, r.new_label,
+        r.pipeline_id, r.pipeline_title, r.stage_id, r.stage_title, r.stage_order,
+        r.deal_created_at, r.changed_at, ${syncId}
+      FROM jsonb_to_recordset(${JSON.stringify(chunk)}::jsonb) AS r(
+        deal_id BIGINT, field TEXT, old_value TEXT, new_value TEXT, old_label TEXT, new_label TEXT,
+        pipeline_id BIGINT, pipeline_title TEXT, stage_id BIGINT, stage_title TEXT, stage_order INTEGER,
+        deal_created_at TIMESTAMPTZ, changed_at TIMESTAMPTZ
+      )
+    `;
+  }
+
+  console.log(`[${syncId}] Recorded ${rows.length} deal history entries`);
+  return rows.length;
+}
+
+/**
+ * Build one history row
+ * @param {Object} deal - Deal after the change
+ * @param {string} field - Tracked field
+ * @param {Object|null} previous - Deal before the change (null for a deal's first row)
+ * @param {string|null} changedAt - When the change happened
+ */
+function toHistoryRow(deal, field, previous, changedAt) {
+  return {
+    deal_id: String(deal.id),
+    field,
+    old_value: previous ? normalize(previous[field]) : null,
+    new_value: normalize(deal[field]),
+    old_label: previous ? getLabel(previous, field) : null,
+    new_label: getLabel(deal, field),
+    pipeline_id: toNumeric(deal.group),
+    pipeline_title: deal.pipelineData ? deal.pipelineData.title : null,
+    stage_id: toNumeric(deal.stage),
+    stage_title: deal.stageData ? deal.stageData.title : null,
+    stage_order: deal.stageData ? toNumeric(deal.stageData.order) : null,
+    deal_created_at: toTimestamp(deal.cdate),
+    changed_at: toTimestamp(changedAt)
+  };
+}
+
+/**
+ * Readable name for a tracked field value
+ */
+function getLabel(deal, field) {
+  if (field === 'stage') return deal.stageData ? deal.stageData.title : null;
+  if (field === 'status') return STATUS_NAMES[normalize(deal.status)] || null;
+  if (field === 'owner') return deal.ownerData ? deal.ownerData.username : null;
+  return null;
+}
+
+function normalize(value) {
+  return value === undefined || value === null ? null : String(value);
+}
+
+function toNumeric(value) {
+  const number = parseInt(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function toTimestamp(value) {
+  if (!value) return null;
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+/**
+ * Hours deals spent in each stage, from consecutive stage rows
+ * Stays without a known start, and the current (unfinished) stay, are excluded
+ * @param {Object} options - Options
+ * @param {number|null} options.pipelineId - Only this pipeline
+ * @param {Date|null} options.since - Only stays that ended after this time
+ * @returns {Promise<Array>} One row per pipeline and stage
+ */
+async function getTimeInStage({ pipelineId = null, since = null } = {}) {
+  const sql = neon(process.env.DATABASE_URL);
+
+  return sql`
+    WITH stays AS (
+      SELECT
+        pipeline_id, pipeline_title, stage_id, stage_title, stage_order, changed_at AS entered_at,
+        LEAD(changed_at) OVER (PARTITION BY deal_id ORDER BY id) AS left_at
+      FROM ac_deal_history
+      WHERE field = 'stage'
+    )
+    SELECT
+      pipeline_id,
+      MAX(pipeline_title) AS pipeline_title,
+      stage_id,
+      MAX(stage_title) AS stage_title,
+      MAX(stage_order) AS stage_order,
+      COUNT(*) AS completed_stays,
+      ROUND((AVG(EXTRACT(EPOCH FROM left_at - entered_at)) / 3600)::numeric, 2) AS avg_hours,
+      ROUND((PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY EXTRACT(EPOCH FROM left_at - entered_at)) / 3600)::numeric, 2) AS median_hours
+    FROM stays
+    WHERE entered_at IS NOT NULL
+      AND left_at IS NOT NULL
+      AND left_at >= entered_at
+      AND (${pipelineId}::bigint IS NULL OR pipeline_id = ${pipelineId})
+      AND (${since}::timestamptz IS NULL OR left_at >= ${since})
+    GROUP BY pipeline_id, stage_id
+    ORDER BY pipeline_id, MAX(stage_order), stage_id
+  `;
+}
+
+/**
+ * Stage-to-stage conversion per pipeline: of the deals that entered a stage, how many later
+ * reached a later stage of the same pipeline or were won
+ * @param {Object} options - Options (see getTimeInStage; since applies to the stage entry)
+ * @returns {Promise<Array>} One row per pipeline and stage
+ */
+async function getStageConversion({ pipelineId = null, since = null } = {}) {
+  const sql = neon(process.env.DATABASE_URL);
+
+  return sql`
+    SELECT
+      h.pipeline_id,
+      MAX(h.pipeline_title) AS pipeline_title,
+      h.stage_id,
+      MAX(h.stage_title) AS stage_title,
+      MAX(h.stage_order) AS stage_order,
+      COUNT(DISTINCT h.deal_id) AS entered,
+      COUNT(DISTINCT CASE WHEN EXISTS (
+        SELECT 1 FROM ac_deal_history n
+        WHERE n.deal_id = h.deal_id
+          AND n.id > h.id
+          AND (
+            (n.field = 'stage' AND n.pipeline_id = h.pipeline_id AND n.stage_order > h.stage_order)
+            OR (n.field = 'status' AND n.new_value = '1')
+          )
+      ) THEN h.deal_id END) AS advanced
+    FROM ac_deal_history h
+    WHERE h.field = 'stage'
+      AND (${pipelineId}::bigint IS NULL OR h.pipeline_id = ${pipelineId})
+      AND (${since}::timestamptz IS NULL OR h.changed_at >= ${since})
+    GROUP BY h.pipeline_id, h.stage_id
+    ORDER BY h.pipeline_id, MAX(h.stage_order), h.stage_id
+  `;
+}
+
+/**
+ * Days from deal creation to being won or lost, per pipeline
+ * @param {Object} options - Options (see getTimeInStage; since applies to the status change)
+ * @returns {Promise<Array>} One row per pipeline and outcome
+ */
+async function getWinLossVelocity({ pipelineId = null, since = null } = {}) {
+  const sql = neon(process.env.DATABASE_URL);
+
+  return sql`
+    SELECT
+      pipeline_id,
+      MAX(pipeline_title) AS pipeline_title,
+      CASE new_value WHEN '1' THEN 'won' ELSE 'lost' END AS outcome,
+      COUNT(DISTINCT deal_id) AS deals,
+      ROUND((AVG(EXTRACT(EPOCH FROM changed_at - deal_created_at)) / 86400)::numeric, 2) AS avg_days,
+      ROUND((PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY EXTRACT(EPOCH FROM changed_at - deal_created_at)) / 86400)::numeric, 2) AS median_days
+    FROM ac_deal_history
+    WHERE field = 'status'
+      AND new_value IN ('1', '2')
+      AND changed_at IS NOT NULL
+      AND deal_created_at IS NOT NULL
+      AND (${pipelineId}::bigint IS NULL OR pipeline_id = ${pipelineId})
+      AND (${since}::timestamptz IS NULL OR changed_at >= ${since})
+    GROUP BY pipeline_id, new_value
+    ORDER BY pipeline_id, outcome
+  `;
+}
+
+module.exports = {
+  recordDealTransitions,
+  getTimeInStage,
+  getStageConversion,
+  getWinLossVelocity
+};
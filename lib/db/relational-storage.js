@@ -0,0 +1,476 @@
+// lib/db/relational-storage.js
+const { neon } = require('@neondatabase/serverless');
+
+/**
+ * Normalized relational storage (STORAGE_BACKEND=relational)
+ * Writes one row per contact/deal plus lookup and custom field value tables,
+ * upserted by ActiveCampaign id. Schema: migrations/005_relational_tables.sql
+ */
+
+const UPSERT_CHUNK_SIZE = 1000;
+
+// Tables readable through the generic helpers below
+const RECORD_TABLES = {
+  contacts: 'ac_contacts',
+  deals: 'ac_deals'
+};
+
+/**
+ * Whether a data type has normalized tables
+ * Other entities are stored as blob snapshots even with STORAGE_BACKEND=relational
+ * @param {string} type - Data type
+ * @returns {boolean}
+ */
+function hasRelationalTable(type) {
+  return Object.prototype.hasOwnProperty.call(RECORD_TABLES, type);
+}
+
+/**
+ * Store contacts in the normalized tables
+ * @param {Array} contacts - Array of enriched contact objects (the complete dataset)
+ * @param {string} syncId - Sync identifier
+ * @param {Object} options - Options
+ * @param {boolean} options.partial - Only upsert these contacts and keep every other stored row
+ */
+async function storeContactsRelational(contacts, syncId, options = {}) {
+  try {
+    const sql = neon(process.env.DATABASE_URL);
+
+    console.log(`[${syncId}] Upserting ${contacts.length} contacts into relational tables...`);
+
+    const totalChunks = Math.ceil(contacts.length / UPSERT_CHUNK_SIZE);
+
+    for (let i = 0; i < totalChunks; i++) {
+      const chunk = contacts.slice(i * UPSERT_CHUNK_SIZE, (i + 1) * UPSERT_CHUNK_SIZE);
+
+      const rows = chunk.map(contact => ({
+        id: toId(contact.id),
+        email: contact.email || null,
+        first_name: contact.firstName || null,
+        last_name: contact.lastName || null,
+        phone: contact.phone || null,
+        cdate: toTimestamp(contact.cdate),
+        udate: toTimestamp(contact.udate),
+        deleted: !!contact.deleted,
+        deleted_at: toTimestamp(contact.deletedAt),
+        data: contact
+      }));
+
+      const fieldValues = chunk.flatMap(contact =>
+        Object.entries(contact.customFields || {}).map(([fieldKey, field]) => ({
+          contact_id: toId(contact.id),
+          field_id: toId(field.fieldId),
+          field_key: fieldKey,
+          field_title: field.fieldTitle || null,
+          value: field.value === undefined || field.value === null ? null : String(field.value)
+        }))
+      ).filter(fv => fv.field_id !== null);
+
+      // Contact row and its field values change together
+      await sql.transaction([
+        sql`
+          INSERT INTO ac_contacts (id, email, first_name, last_name, phone, cdate, udate, deleted, deleted_at, data, sync_id, synced_at)
+          SELECT r.id, r.email, r.first_name, r.last_name, r.phone, r.cdate, r.udate, r.deleted, r.deleted_at, r.data, ${syncId}, NOW()
+          FROM jsonb_to_recordset(${JSON.stringify(rows)}::jsonb) AS r(
+            id BIGINT, email TEXT, first_name TEXT, last_name TEXT, phone TEXT,
+            cdate TIMESTAMPTZ, udate TIMESTAMPTZ, deleted BOOLEAN, deleted_at TIMESTAMPTZ, data JSONB
+          )
+          ON CONFLICT (id) DO UPDATE SET
+            email = EXCLUDED.email,
+            first_name = EXCLUDED.first_name,
+            last_name = EXCLUDED.last_name,
+            phone = EXCLUDED.phone,
+            cdate = EXCLUDED.cdate,
+            udate = EXCLUDED.udate,
+            deleted = EXCLUDED.deleted,
+            deleted_at = EXCLUDED.deleted_at,
+            data = EXCLUDED.data,
+            sync_id = EXCLUDED.sync_id,
+            synced_at = EXCLUDED.synced_at
+          WHERE ac_contacts.data IS DISTINCT FROM EXCLUDED.data
+        `,
+        sql`
+          DELETE FROM ac_contact_field_values
+          WHERE contact_id IN (
+            SELECT value::BIGINT FROM jsonb_array_elements_text(${JSON.stringify(rows.map(row => row.id))}::jsonb)
+          )
+        `,
+        sql`
+          INSERT INTO ac_contact_field_values (contact_id, field_id, field_key, field_title, value)
+          SELECT f.contact_id, f.field_id, f.field_key, f.field_title, f.value
+          FROM jsonb_to_recordset(${JSON.stringify(fieldValues)}::jsonb) AS f(
+            contact_id BIGINT, field_id BIGINT, field_key TEXT, field_title TEXT, value TEXT
+          )
+          ON CONFLICT (contact_id, field_id) DO NOTHING
+        `
+      ]);
+
+      console.log(`[${syncId}] Chunk ${i + 1}/${totalChunks}: ${chunk.length} contacts, ${fieldValues.length} field values`);
+    }
+
+    const removed = options.partial ? 0 : await removeMissingRecords(sql, 'contacts', contacts);
+    console.log(`[${syncId}] ✓ Upserted ${contacts.length} contacts (${removed} removed)`);
+
+  } catch (error) {
+    console.error(`[${syncId}] Failed to store contacts in relational tables:`, error);
+    throw new Error(`Database storage failed: ${error.message}`);
+  }
+}
+
+/**
+ * Store deals and their pipeline/stage/user lookups in the normalized tables
+ * @param {Array} deals - Array of enriched deal objects (the complete dataset)
+ * @param {string} syncId - Sync identifier
+ * @param {Object} metadata - Lookup records fetched during the sync
+ * @param {Array} metadata.pipelines - Deal groups
+ * @param {Array} metadata.stages - Deal stages
+ * @param {Array} metadata.users - Users
+ * @param {Object} options - Options
+ * @param {boolean} options.partial - Only upsert these deals and keep every other stored row
+ */
+async function storeDealsRelational(deals, syncId, metadata = {}, options = {}) {
+  const { pipelines = [], stages = [], users = [] } = metadata;
+
+  try {
+    const sql = neon(process.env.DATABASE_URL);
+
+    console.log(`[${syncId}] Upserting ${pipelines.length} pipelines, ${stages.length} stages, ${users.length} users...`);
+
+    await sql.transaction([
+      sql`
+        INSERT INTO ac_pipelines (id, title, currency, data, synced_at)
+        SELECT r.id, r.title, r.currency, r.data, NOW()
+        FROM jsonb_to_recordset(${JSON.stringify(pipelines.map(p => ({
+          id: toId(p.id),
+          title: p.title || null,
+          currency: p.currency || null,
+          data: p
+        })))}::jsonb) AS r(id BIGINT, title TEXT, currency VARCHAR(10), data JSONB)
+        ON CONFLICT (id) DO UPDATE SET
+          title = EXCLUDED.title,
+          currency = EXCLUDED.currency,
+          data = EXCLUDED.data,
+          synced_at = EXCLUDED.synced_at
+      `,
+      sql`
+        INSERT INTO ac_stages (id, pipeline_id, title, stage_order, data, synced_at)
+        SELECT r.id, r.pipeline_id, r.title, r.stage_order, r.data, NOW()
+        FROM jsonb_to_recordset(${JSON.stringify(stages.map(s => ({
+          id: toId(s.id),
+          pipeline_id: toId(s.group),
+          title: s.title || null,
+          stage_order: toNumber(s.order),
+          data: s
+        })))}::jsonb) AS r(id BIGINT, pipeline_id BIGINT, title TEXT, stage_order INTEGER, data JSONB)
+        ON CONFLICT (id) DO UPDATE SET
+          pipeline_id = EXCLUDED.pipeline_id,
+          title = EXCLUDED.title,
+          stage_order = EXCLUDED.stage_order,
+          data = EXCLUDED.data,
+          synced_at = EXCLUDED.synced_at
+      `,
+      sql`
+        INSERT INTO ac_users (id, username, first_name, last_name, email, data, synced_at)
+        SELECT r.id, r.username, r.first_name, r.last_name, r.email, r.data, NOW()
+        FROM jsonb_to_recordset(${JSON.stringify(users.map(u => ({
+          id: toId(u.id),
+          username: u.username || null,
+          first_name: u.firstName || null,
+          last_name: u.lastName || null,
+          email: u.email || null,
+          data: u
+        })))}::jsonb) AS r(id BIGINT, username TEXT, first_name TEXT, last_name TEXT, email TEXT, data JSONB)
+        ON CONFLICT (id) DO UPDATE SET
+          username = EXCLUDED.username,
+          first_name = EXCLUDED.first_name,
+          last_name = EXCLUDED.last_name,
+          email = EXCLUDED.email,
+          data = EXCLUDED.data,
+          synced_at = EXCLUDED.synced_at
+      `
+    ]);
+
+    console.log(`[${syncId}] Upserting ${deals.length} deals into relational tables...`);
+
+    const totalChunks = Math.ceil(deals.length / UPSERT_CHUNK_SIZE);
+
+    for (let i = 0; i < totalChunks; i++) {
+      const chunk = deals.slice(i * UPSERT_CHUNK_SIZE, (i + 1) * UPSERT_CHUNK_SIZE);
+
+      const rows = chunk.map(deal => ({
+        id: toId(deal.id),
+        title: deal.title || null,
+        contact_id: toId(deal.contact),
+        pipeline_id: toId(deal.group),
+        stage_id: toId(deal.stage),
+        owner_id: toId(deal.owner),
+        status: toNumber(deal.status),
+        value: toNumber(deal.value),
+        currency: deal.currency || null,
+        cdate: toTimestamp(deal.cdate),
+        mdate: toTimestamp(deal.mdate),
+        deleted: !!deal.deleted,
+        deleted_at: toTimestamp(deal.deletedAt),
+        data: deal
+      }));
+
+      const fieldValues = chunk.flatMap(deal =>
+        Object.values(deal.customFields || {}).map(field => ({
+          deal_id: toId(deal.id),
+          field_id: toId(field.fieldId),
+          field_label: field.fieldLabel || null,
+          value: field.value === undefined || field.value === null ? null : String(field.value)
+        }))
+      ).filter(fv => fv.field_id !== null);
+
+      await sql.transaction([
+        sql`
+          INSERT INTO ac_deals (id, title, contact_id, pipeline_id, stage_id, owner_id, status, value, currency, cdate, mdate, deleted, deleted_at, data, sync_id, synced_at)
+          SELECT r.id, r.title, r.contact_id, r.pipeline_id, r.stage_id, r.owner_id, r.status, r.value, r.currency, r.cdate, r.mdate, r.deleted, r.deleted_at, r.data, ${syncId}, NOW()
+          FROM jsonb_to_recordset(${JSON.stringify(rows)}::jsonb) AS r(
+            id BIGINT, title TEXT, contact_id BIGINT, pipeline_id BIGINT, stage_id BIGINT, owner_id BIGINT,
+            status INTEGER, value NUMERIC, currency VARCHAR(10), cdate TIMESTAMPTZ, mdate TIMESTAMPTZ,
+            deleted BOOLEAN, deleted_at TIMESTAMPTZ, data JSONB
+          )
+          ON CONFLICT (id) DO UPDATE SET
+            title = EXCLUDED.title,
+            contact_id = EXCLUDED.contact_id,
+            pipeline_id = EXCLUDED.pipeline_id,
+            stage_id = EXCLUDED.stage_id,
+            owner_id = EXCLUDED.owner_id,
+            status = EXCLUDED.status,
+            value = EXCLUDED.value,
+            currency = EXCLUDED.currency,
+            cdate = EXCLUDED.cdate,
+            mdate = EXCLUDED.mdate,
+            deleted = EXCLUDED.deleted,
+            deleted_at = EXCLUDED.deleted_at,
+            data = EXCLUDED.data,
+            sync_id = EXCLUDED.sync_id,
+            synced_at = EXCLUDED.synced_at
+          WHERE ac_deals.data IS DISTINCT FROM EXCLUDED.data
+        `,
+        sql`
+          DELETE FROM ac_deal_field_values
+          WHERE deal_id IN (
+            SELECT value::BIGINT FROM jsonb_array_elements_text(${JSON.stringify(rows.map(row => row.id))}::jsonb)
+          )
+        `,
+        sql`
+          INSERT INTO ac_deal_field_values (deal_id, field_id, field_label, value)
+          SELECT f.deal_id, f.field_id, f.field_label, f.value
+          FROM jsonb_to_recordset(${JSON.stringify(fieldValues)}::jsonb) AS f(
+            deal_id BIGINT, field_id BIGINT, field_label TEXT, value TEXT
+          )
+          ON CONFLICT (deal_id, field_id) DO NOTHING
+        `
+      ]);
+
+      console.log(`[${syncId}] Chunk ${i + 1}/${totalChunks}: ${chunk.length} deals, ${fieldValues.length} field values`);
+    }
+
+    const removed = options.partial ? 0 : await removeMissingRecords(sql, 'deals', deals);
+    console.log(`[${syncId}] ✓ Upserted ${deals.length} deals (${removed} removed)`);
+
+  } catch (error) {
+    console.error(`[${syncId}] Failed to store deals in relational tables:`, error);
+    throw new Error(`Database storage failed: ${error.message}`);
+  }
+}
+
+/**
+ * Delete rows that are no longer part of the stored dataset
+ * (e.g. dropped by DELETION_MODE=remove)
+ * @param {Function} sql - Neon query function
+ * @param {string} type - 'contacts' or 'deals'
+ * @param {Array} records - The complete dataset that was just stored
+ * @returns {Promise<number>} Number of rows removed
+ */
+async function removeMissingRecords(sql, type, records) {
+  const table = RECORD_TABLES[type];
+  const ids = JSON.stringify(records.map(record => toId(record.id)).filter(id => id !== null));
+
+  const result = await sql(
+    `DELETE FROM ${table}
+     WHERE id NOT IN (SELECT value::BIGINT FROM jsonb_array_elements_text($1::jsonb))
+     RETURNING id`,
+    [ids]
+  );
+
+  return result.length;
+}
+
+/**
+ * Delete single records (field values are removed with them)
+ * @param {string} type - 'contacts' or 'deals'
+ * @param {Array<string|number>} ids - Record ids
+ * @returns {Promise<number>} Number of rows removed
+ */
+async function removeRecordsRelational(type, ids) {
+  const sql = neon(process.env.DATABASE_URL);
+  const table = RECORD_TABLES[type];
+
+  const result = await sql(
+    `DELETE FROM ${table}
+     WHERE id IN (SELECT value::BIGINT FROM jsonb_array_elements_text($1::jsonb))
+     RETURNING id`,
+    [JSON.stringify(ids.map(toId).filter(id => id !== null))]
+  );
+
+  return result.length;
+}
+
+/**
+ * Retrieve all stored records of a type
+ * @param {string} type - 'contacts' or 'deals'
+ * @returns {Promise<Array>} Array of enriched records
+ */
+async function getRecordsRelational(type) {
+  const table = RECORD_TABLES[type];
+  const sql = neon(process.env.DATABASE_URL);
+
+  const result = await sql(`SELECT data FROM ${table} ORDER BY id`);
+  return result.map(row => row.data);
+}
+
+/**
+ * Retrieve one page of stored records of a type
+ * @param {string} type - 'contacts' or 'deals'
+ * @param {Object} options - Options
+ * @param {number} options.limit - Page size
+ * @param {number} options.offset - Records to skip
+ * @returns {Promise<{records: Array, totalRecords: number, syncedAt: string|null}>}
+ */
+async function queryRecordsRelational(type, options = {}) {
+  const { limit = 100, offset = 0 } = options;
+  const table = RECORD_TABLES[type];
+  const sql = neon(process.env.DATABASE_URL);
+
+  const [summary, rows] = await Promise.all([
+    sql(`SELECT COUNT(*) AS total, MAX(synced_at) AS synced_at FROM ${table}`),
+    sql(`SELECT data FROM ${table} ORDER BY id LIMIT $1 OFFSET $2`, [limit, offset])
+  ]);
+
+  return {
+    records: rows.map(row => row.data),
+    totalRecords: parseInt(summary[0].total) || 0,
+    syncedAt: summary[0].synced_at
+  };
+}
+
+/**
+ * Iterate over all stored records of a type in id order, one chunk at a time
+ * @param {string} type - 'contacts' or 'deals'
+ * @param {number} chunkSize - Records per chunk
+ * @param {number|string} afterId - Only records with a greater id (resume position)
+ * @yields {Array} Records
+ */
+async function* iterateRecordsRelational(type, chunkSize = 10000, afterId = 0) {
+  const table = RECORD_TABLES[type];
+  const sql = neon(process.env.DATABASE_URL);
+  let lastId = afterId;
+
+  while (true) {
+    const rows = await sql(
+      `SELECT id, data FROM ${table} WHERE id > $1 ORDER BY id LIMIT $2`,
+      [lastId, chunkSize]
+    );
+
+    if (rows.length === 0) return;
+
+    yield rows.map(row => row.data);
+
+    if (rows.length < chunkSize) return;
+    lastId = rows[rows.length - 1].id;
+  }
+}
+
+/**
+ * Count stored records and find the latest sync time of a type
+ * @param {string} type - 'contacts' or 'deals'
+ * @returns {Promise<{recordCount: number, syncedAt: string|null}>}
+ */
+async function getRelationalSummary(type) {
+  const table = RECORD_TABLES[type];
+  const sql = neon(process.env.DATABASE_URL);
+
+  const result = await sql(`SELECT COUNT(*) AS record_count, MAX(synced_at) AS synced_at FROM ${table}`);
+  return {
+    recordCount: parseInt(result[0].record_count) || 0,
+    syncedAt: result[0].synced_at
+  };
+}
+
+/**
+ * Look up records by id, email (contacts) or contact id (deals)
+ * @param {string} type - 'contacts' or 'deals'
+ * @param {Object} criteria - Exactly one of id, email or contactId
+ * @returns {Promise<Array>} Matching records (soft-deleted ones included)
+ */
+async function findRecordsRelational(type, criteria) {
+  const table = RECORD_TABLES[type];
+  const sql = neon(process.env.DATABASE_URL);
+
+  let condition;
+  let value;
+
+  if (criteria.id !== undefined) {
+    condition = 'id = $1';
+    value = toId(criteria.id);
+  } else if (criteria.email !== undefined && type === 'contacts') {
+    condition = 'LOWER(email) = $1';
+    value = String(criteria.email).toLowerCase();
+  } else if (criteria.contactId !== undefined && type === 'deals') {
+    condition = 'contact_id = $1';
+    value = toId(criteria.contactId);
+  } else {
+    throw new Error(`Unsupported lookup for ${type}`);
+  }
+
+  if (value === null) {
+    return [];
+  }
+
+  const rows = await sql(`SELECT data FROM ${table} WHERE ${condition} ORDER BY id`, [value]);
+  return rows.map(row => row.data);
+}
+
+/**
+ * Convert an ActiveCampaign id to a BIGINT-safe value
+ */
+function toId(value) {
+  if (value === undefined || value === null) return null;
+  const str = String(value);
+  return /^\d+$/.test(str) && str !== '0' ? str : null;
+}
+
+/**
+ * Convert an ActiveCampaign numeric string to a number
+ */
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const num = Number(value);
+  return Number.isFinite(num) ? num : null;
+}
+
+/**
+ * Convert an ActiveCampaign date string to ISO format (null if unparseable)
+ */
+function toTimestamp(value) {
+  if (!value) return null;
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+module.exports = {
+  hasRelationalTable,
+  storeContactsRelational,
+  storeDealsRelational,
+  removeRecordsRelational,
+  getRecordsRelational,
+  queryRecordsRelational,
+  iterateRecordsRelational,
+  findRecordsRelational,
+  getRelationalSummary,
+  toId
+};
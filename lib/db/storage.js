@@ -2,12 +2,97 @@
 const { neon } = require('@neondatabase/serverless');
 const zlib = require('zlib');
 const { promisify } = require('util');
+const {
+  hasRelationalTable,
+  storeContactsRelational,
+  storeDealsRelational,
+  removeRecordsRelational,
+  getRecordsRelational,
+  findRecordsRelational,
+  toId
+} = require('./relational-storage');
+const { collectColumns, orderColumns } = require('../utils/csv');
+const { getEntity } = require('../sync/registry');
 
 const gzip = promisify(zlib.gzip);
 const gunzip = promisify(zlib.gunzip);
 
 const BATCH_SIZE = 10000; // 10k records per batch
 const MAX_COMPRESSED_SIZE_MB = 50; // Max 50MB per insert
+const STALE_PENDING_SNAPSHOT_HOURS = 1; // Pending snapshots older than this are abandoned syncs
+const SUPERSEDED_GRACE_MINUTES = 10; // Lets in-flight readers finish with the previous snapshot
+const PATCH_ATTEMPTS = 3; // A patch restarts when another write activates a snapshot first
+
+/**
+ * The lease of the data type being written is not the writer's (see lib/db/sync-locks.js):
+ * a sync holds it while a patch is written, or a sync lost its own before storing
+ * holder is the sync id holding the lease now, or null if nobody does
+ */
+class LeaseConflictError extends Error {
+  constructor(dataType, holder) {
+    super(holder ? `${dataType} is being synced by ${holder}` : `The ${dataType} sync lease expired`);
+    this.name = 'LeaseConflictError';
+    this.dataType = dataType;
+    this.holder = holder;
+  }
+}
+
+/**
+ * How long superseded snapshots are kept for point-in-time reads
+ * @returns {number} Retention in minutes (never shorter than the reader grace period)
+ */
+function getSnapshotRetentionMinutes() {
+  const days = parseFloat(process.env.SNAPSHOT_RETENTION_DAYS || '0');
+  const retentionMinutes = days > 0 ? days * 24 * 60 : 0;
+  return Math.max(SUPERSEDED_GRACE_MINUTES, retentionMinutes);
+}
+
+/**
+ * Get the configured storage backend
+ * 'blob' (default) stores gzipped JSON batches in ac_sync_data,
+ * 'relational' stores normalized tables (see lib/db/relational-storage.js)
+ * @returns {string} Storage backend
+ */
+function getStorageBackend() {
+  return process.env.STORAGE_BACKEND === 'relational' ? 'relational' : 'blob';
+}
+
+/**
+ * Whether a data type is read from and written to the normalized tables
+ * @param {string} dataType - Data type (entity name)
+ * @returns {boolean}
+ */
+function usesRelationalStorage(dataType) {
+  return getStorageBackend() === 'relational' && hasRelationalTable(dataType);
+}
+
+/**
+ * Store the complete dataset of an entity
+ * @param {string} dataType - Data type (entity name)
+ * @param {Array} records - Array of enriched records
+ * @param {string} syncId - Sync identifier
+ * @param {Object} metadata - Metadata fetched for the entity (only stored by the relational backend)
+ * @param {Object} options - Options
+ * @param {boolean} options.leased - syncId holds the data type's lease; nothing is stored if it lost it
+ * @throws {LeaseConflictError} If options.leased and syncId no longer holds the lease
+ */
+async function storeRecords(dataType, records, syncId, metadata = {}, options = {}) {
+  if (usesRelationalStorage(dataType)) {
+    // Rows are written in place, so the lease can only be checked up front
+    if (options.leased) {
+      const holder = await getLeaseHolder(neon(process.env.DATABASE_URL), dataType);
+      if (holder !== syncId) {
+        throw new LeaseConflictError(dataType, holder);
+      }
+    }
+
+    return dataType === 'deals'
+      ? storeDealsRelational(records, syncId, metadata)
+      : storeContactsRelational(records, syncId);
+  }
+
+  return storeSnapshot(dataType, records, syncId, options);
+}
 
 /**
  * Store contacts data in Postgres (batched + compressed)
@@ -15,211 +100,822 @@ const MAX_COMPRESSED_SIZE_MB = 50; // Max 50MB per insert
  * @param {string} syncId - Sync identifier
  */
 async function storeContactsData(contacts, syncId) {
+  return storeRecords('contacts', contacts, syncId);
+}
+
+/**
+ * Store deals data in Postgres (batched + compressed)
+ * @param {Array} deals - Array of enriched deal objects
+ * @param {string} syncId - Sync identifier
+ * @param {Object} metadata - Pipelines, stages and users (only stored by the relational backend)
+ */
+async function storeDealsData(deals, syncId, metadata = {}) {
+  return storeRecords('deals', deals, syncId, metadata);
+}
+
+/**
+ * Replace, add or remove a single record of the stored dataset without a full sync
+ * @param {string} dataType - Data type (entity name)
+ * @param {string|number} recordId - Record id
+ * @param {Object|null} record - The record to store, or null to remove it
+ * @param {string} syncId - Identifier of the update (for logging and sync_id columns)
+ * @param {Object} metadata - Metadata fetched for the entity (only stored by the relational backend)
+ * @throws {LeaseConflictError} If a sync started holding the data type's lease (blob backend)
+ */
+async function patchRecord(dataType, recordId, record, syncId, metadata = {}) {
+  if (usesRelationalStorage(dataType)) {
+    if (!record) {
+      return removeRecordsRelational(dataType, [recordId]);
+    }
+
+    return dataType === 'deals'
+      ? storeDealsRelational([record], syncId, metadata, { partial: true })
+      : storeContactsRelational([record], syncId, { partial: true });
+  }
+
+  for (let attempt = 1; attempt <= PATCH_ATTEMPTS; attempt++) {
+    if (await patchSnapshot(dataType, recordId, record, syncId)) {
+      return;
+    }
+    console.warn(`[${syncId}] ${dataType} snapshot changed while patching record ${recordId}, retrying (${attempt}/${PATCH_ATTEMPTS})`);
+  }
+
+  throw new Error(`Could not patch ${dataType} record ${recordId}: the snapshot kept changing`);
+}
+
+/**
+ * Activate a copy of the active snapshot with one record changed
+ * Only the batch holding the record is rewritten; the other batches and their index rows
+ * are copied inside the database
+ * @param {string} dataType - Data type (entity name)
+ * @param {string|number} recordId - Record id
+ * @param {Object|null} record - The record to store, or null to remove it
+ * @param {string} syncId - Identifier of the update
+ * @returns {Promise<boolean>} False if another write replaced the active snapshot first
+ * @throws {LeaseConflictError} If a sync holds the data type's lease
+ */
+async function patchSnapshot(dataType, recordId, record, syncId) {
   const startTime = Date.now();
-  
+  const sql = neon(process.env.DATABASE_URL);
+
+  const active = await resolveSnapshot(dataType);
+  if (!active) {
+    throw new Error(`No stored ${dataType} to patch; run a sync first`);
+  }
+
+  if (!active.indexed) {
+    // Written before the record index existed: rewrite it once, indexed, unless a sync is
+    // about to store over it
+    const holder = await getLeaseHolder(sql, dataType);
+    if (holder) {
+      throw new LeaseConflictError(dataType, holder);
+    }
+
+    console.warn(`Snapshot ${active.id} has no record index, rewriting every batch`);
+    const records = (await getLatestRecords(dataType, { snapshot: active.id }))
+      .filter(existing => toId(existing.id) !== toId(recordId));
+    if (record) records.push(record);
+    await storeSnapshot(dataType, records, syncId, { lockFree: true });
+    return true;
+  }
+
+  const [location] = await sql`
+    SELECT batch_index, position
+    FROM ac_snapshot_records
+    WHERE snapshot_id = ${active.id} AND record_id = ${toId(recordId)}
+  `;
+
+  if (!location && !record) {
+    return true;
+  }
+
+  const batches = await getSnapshotBatches(active.id);
+  const lastBatch = batches[batches.length - 1];
+
+  // New records go to the end of the last batch, or start a new one when it is full
+  let batchIndex;
+  if (location) {
+    batchIndex = location.batch_index;
+  } else if (lastBatch && lastBatch.record_count < BATCH_SIZE) {
+    batchIndex = lastBatch.batch_index;
+  } else {
+    batchIndex = batches.length;
+  }
+
+  const existingBatch = batches.find(batch => batch.batch_index === batchIndex);
+  const batch = existingBatch ? await readBatch(existingBatch.id) : [];
+  if (!batch) {
+    throw new Error(`Batch ${existingBatch.id} disappeared while patching`);
+  }
+
+  if (location && record) {
+    batch[location.position] = record;
+  } else if (location) {
+    batch.splice(location.position, 1);
+  } else {
+    batch.push(record);
+  }
+
+  const recordCount = active.record_count - (location ? 1 : 0) + (record ? 1 : 0);
+  const batchCount = Math.max(active.batch_count, batchIndex + 1);
+
+  const columns = new Set(active.columns || []);
+  if (record) collectColumns(record, columns);
+
+  const [snapshot] = await sql`
+    INSERT INTO ac_snapshots (data_type, sync_id, status, record_count, batch_count, kind)
+    VALUES (${dataType}, ${syncId}, 'pending', ${recordCount}, ${batchCount}, 'patch')
+    RETURNING id
+  `;
+  const snapshotId = snapshot.id;
+
   try {
-    const sql = neon(process.env.DATABASE_URL);
-    
-    console.log(`[${syncId}] Storing ${contacts.length} contacts in compressed batches...`);
-    
-    // Delete old contact data first
+    // Copies are named like the batches writeBatch writes, since (data_type, sync_id) is unique
     await sql`
-      DELETE FROM ac_sync_data 
-      WHERE data_type = 'contacts'
+      INSERT INTO ac_sync_data (data_type, json_data_compressed, record_count, sync_duration_ms, sync_id, snapshot_id, batch_index)
+      SELECT data_type, json_data_compressed, record_count, sync_duration_ms, ${syncId + '_batch_'} || batch_index::text, ${snapshotId}, batch_index
+      FROM ac_sync_data
+      WHERE snapshot_id = ${active.id} AND batch_index <> ${batchIndex}
     `;
-    
-    // Split into batches
-    const totalBatches = Math.ceil(contacts.length / BATCH_SIZE);
-    
-    for (let i = 0; i < totalBatches; i++) {
-      const batchStart = i * BATCH_SIZE;
-      const batchEnd = Math.min(batchStart + BATCH_SIZE, contacts.length);
-      const batch = contacts.slice(batchStart, batchEnd);
-      
-      // Compress this batch
-      const jsonString = JSON.stringify(batch);
-      const originalSize = Buffer.byteLength(jsonString, 'utf8');
-      
-      console.log(`[${syncId}] Batch ${i + 1}/${totalBatches}: Compressing ${batch.length} contacts...`);
-      const compressedBuffer = await gzip(jsonString);
-      const compressedSize = compressedBuffer.length;
-      
-      // Verify compression worked
-      if (compressedSize >= originalSize) {
-        console.warn(`[${syncId}] Warning: Compression didn't reduce size for batch ${i + 1}`);
-      }
-      
-      // Verify it's actually gzipped (check magic bytes)
-      if (compressedBuffer[0] !== 0x1f || compressedBuffer[1] !== 0x8b) {
-        throw new Error(`Compression failed for batch ${i + 1} - invalid gzip header`);
-      }
-      
-      console.log(`[${syncId}] Batch ${i + 1}/${totalBatches}: ${batch.length} contacts, ${(originalSize / 1024 / 1024).toFixed(2)}MB → ${(compressedSize / 1024 / 1024).toFixed(2)}MB (${((1 - compressedSize/originalSize) * 100).toFixed(1)}% reduction)`);
-      
-      // Insert batch - make sure to pass the Buffer directly
-      await sql`
-        INSERT INTO ac_sync_data (data_type, json_data_compressed, record_count, sync_duration_ms, sync_id)
-        VALUES (
-          'contacts',
-          ${compressedBuffer},
-          ${batch.length},
-          ${Date.now() - startTime},
-          ${syncId + '_batch_' + i}
+
+    await sql`
+      INSERT INTO ac_snapshot_records (snapshot_id, record_id, email, contact_id, parent_id, batch_index, position)
+      SELECT ${snapshotId}, record_id, email, contact_id, parent_id, batch_index, position
+      FROM ac_snapshot_records
+      WHERE snapshot_id = ${active.id} AND batch_index <> ${batchIndex}
+    `;
+
+    await writeBatch(sql, snapshotId, dataType, batchIndex, batch, syncId, startTime);
+
+    // Swap only if the snapshot this copy was made from is still the active one, and no sync
+    // that will store over it is running
+    const activated = await sql`
+      WITH previous AS (
+        UPDATE ac_snapshots
+        SET status = 'superseded', superseded_at = NOW()
+        WHERE id = ${active.id} AND status = 'active'
+        AND NOT EXISTS (
+          SELECT 1 FROM ac_sync_locks WHERE entity = ${dataType} AND expires_at > NOW()
         )
-      `;
-    }
+        RETURNING id
+      )
+      UPDATE ac_snapshots
+      SET status = 'active',
+          activated_at = NOW(),
+          sync_duration_ms = ${Date.now() - startTime},
+          columns = ${JSON.stringify(orderColumns(columns))}::jsonb,
+          indexed = TRUE
+      WHERE id = ${snapshotId} AND EXISTS (SELECT 1 FROM previous)
+      RETURNING id
+    `;
 
-    console.log(`[${syncId}] ✓ Stored ${contacts.length} contacts in ${totalBatches} compressed batches`);
-    
+    if (activated.length === 0) {
+      await sql`DELETE FROM ac_snapshots WHERE id = ${snapshotId} AND status = 'pending'`;
+
+      const holder = await getLeaseHolder(sql, dataType);
+      if (holder) {
+        throw new LeaseConflictError(dataType, holder);
+      }
+      return false;
+    }
   } catch (error) {
-    console.error(`[${syncId}] Failed to store contacts:`, error);
+    if (error instanceof LeaseConflictError) {
+      throw error;
+    }
+
+    console.error(`[${syncId}] Failed to patch ${dataType} record ${recordId}:`, error);
+
+    try {
+      await sql`DELETE FROM ac_snapshots WHERE id = ${snapshotId} AND status = 'pending'`;
+    } catch (cleanupError) {
+      console.error(`[${syncId}] Failed to discard pending snapshot ${snapshotId}:`, cleanupError);
+    }
+
     throw new Error(`Database storage failed: ${error.message}`);
   }
+
+  console.log(`[${syncId}] ✓ Patched ${dataType} record ${recordId} (snapshot ${snapshotId} active)`);
+
+  await garbageCollectSnapshots(dataType, syncId);
+  return true;
 }
 
 /**
- * Store deals data in Postgres (batched + compressed)
- * @param {Array} deals - Array of enriched deal objects
+ * Store a complete dataset as a new snapshot
+ * Batches are written under a pending snapshot that only becomes active (visible
+ * to readers) once every batch is stored; older snapshots are then removed
+ * @param {string} dataType - Data type (entity name)
+ * @param {Array} records - Array of enriched records
  * @param {string} syncId - Sync identifier
+ * @param {Object} options - Options
+ * @param {boolean} options.leased - Only activate while syncId still holds the data type's lease
+ * @param {boolean} options.lockFree - Only activate while no sync holds the data type's lease (patches)
+ * @throws {LeaseConflictError} If the lease condition no longer holds at the swap
  */
-async function storeDealsData(deals, syncId) {
+async function storeSnapshot(dataType, records, syncId, options = {}) {
   const startTime = Date.now();
+  const sql = neon(process.env.DATABASE_URL);
+  let snapshotId = null;
   
   try {
-    const sql = neon(process.env.DATABASE_URL);
-    
-    console.log(`[${syncId}] Storing ${deals.length} deals in compressed batches...`);
-    
-    // Delete old deals data first
-    await sql`
-      DELETE FROM ac_sync_data 
-      WHERE data_type = 'deals'
-    `;
+    console.log(`[${syncId}] Storing ${records.length} ${dataType} in compressed batches...`);
     
     // Split into batches
-    const totalBatches = Math.ceil(deals.length / BATCH_SIZE);
+    const totalBatches = Math.ceil(records.length / BATCH_SIZE);
+
+    const [snapshot] = await sql`
+      INSERT INTO ac_snapshots (data_type, sync_id, status, record_count, batch_count)
+      VALUES (${dataType}, ${syncId}, 'pending', ${records.length}, ${totalBatches})
+      RETURNING id
+    `;
+    snapshotId = snapshot.id;
+
+    console.log(`[${syncId}] Writing ${dataType} snapshot ${snapshotId}`);
+
+    // Column list for CSV exports, collected while batching
+    const columns = new Set();
     
     for (let i = 0; i < totalBatches; i++) {
       const batchStart = i * BATCH_SIZE;
-      const batchEnd = Math.min(batchStart + BATCH_SIZE, deals.length);
-      const batch = deals.slice(batchStart, batchEnd);
-      
-      // Compress this batch
-      const jsonString = JSON.stringify(batch);
-      const originalSize = Buffer.byteLength(jsonString, 'utf8');
-      
-      console.log(`[${syncId}] Batch ${i + 1}/${totalBatches}: Compressing ${batch.length} deals...`);
-      const compressedBuffer = await gzip(jsonString);
-      const compressedSize = compressedBuffer.length;
-      
-      // Verify compression worked
-      if (compressedSize >= originalSize) {
-        console.warn(`[${syncId}] Warning: Compression didn't reduce size for batch ${i + 1}`);
-      }
-      
-      // Verify it's actually gzipped (check magic bytes)
-      if (compressedBuffer[0] !== 0x1f || compressedBuffer[1] !== 0x8b) {
-        throw new Error(`Compression failed for batch ${i + 1} - invalid gzip header`);
-      }
-      
-      console.log(`[${syncId}] Batch ${i + 1}/${totalBatches}: ${batch.length} deals, ${(originalSize / 1024 / 1024).toFixed(2)}MB → ${(compressedSize / 1024 / 1024).toFixed(2)}MB (${((1 - compressedSize/originalSize) * 100).toFixed(1)}% reduction)`);
-      
-      // Insert batch - make sure to pass the Buffer directly
-      await sql`
-        INSERT INTO ac_sync_data (data_type, json_data_compressed, record_count, sync_duration_ms, sync_id)
-        VALUES (
-          'deals',
-          ${compressedBuffer},
-          ${batch.length},
-          ${Date.now() - startTime},
-          ${syncId + '_batch_' + i}
-        )
-      `;
+      const batchEnd = Math.min(batchStart + BATCH_SIZE, records.length);
+      const batch = records.slice(batchStart, batchEnd);
+      batch.forEach(record => collectColumns(record, columns));
+
+      console.log(`[${syncId}] Batch ${i + 1}/${totalBatches}: Compressing ${batch.length} ${dataType}...`);
+      await writeBatch(sql, snapshotId, dataType, i, batch, syncId, startTime);
     }
 
-    console.log(`[${syncId}] ✓ Stored ${deals.length} deals in ${totalBatches} compressed batches`);
-    
+    // Swap: readers see either the previous snapshot or this one, never a mix. A leased sync
+    // only swaps while it still holds the lease, so a run that lost it cannot overwrite the next one
+    const activated = await sql`
+      WITH lease AS (
+        SELECT (NOT ${Boolean(options.leased)}::boolean OR EXISTS (
+          SELECT 1 FROM ac_sync_locks
+          WHERE entity = ${dataType} AND sync_id = ${syncId} AND expires_at > NOW()
+        )) AND (NOT ${Boolean(options.lockFree)}::boolean OR NOT EXISTS (
+          SELECT 1 FROM ac_sync_locks
+          WHERE entity = ${dataType} AND expires_at > NOW()
+        )) AS allowed
+      ),
+      previous AS (
+        UPDATE ac_snapshots
+        SET status = 'superseded', superseded_at = NOW()
+        WHERE data_type = ${dataType} AND status = 'active'
+        AND (SELECT allowed FROM lease)
+        RETURNING id
+      )
+      UPDATE ac_snapshots
+      SET status = 'active',
+          activated_at = NOW(),
+          sync_duration_ms = ${Date.now() - startTime},
+          columns = ${JSON.stringify(orderColumns(columns))}::jsonb,
+          indexed = TRUE
+      WHERE id = ${snapshotId} AND (SELECT allowed FROM lease)
+      -- Reading previous supersedes the old snapshot first (the count is 0 on the first store)
+      AND (SELECT COUNT(*) FROM previous) >= 0
+      RETURNING id
+    `;
+
+    if (activated.length === 0) {
+      throw new LeaseConflictError(dataType, await getLeaseHolder(sql, dataType));
+    }
+
+    console.log(`[${syncId}] ✓ Stored ${records.length} ${dataType} in ${totalBatches} compressed batches (snapshot ${snapshotId} active)`);
+
   } catch (error) {
-    console.error(`[${syncId}] Failed to store deals:`, error);
+    console.error(`[${syncId}] Failed to store ${dataType}:`, error);
+
+    // Discard the half-written snapshot; the previous one stays active
+    if (snapshotId !== null) {
+      try {
+        await sql`DELETE FROM ac_snapshots WHERE id = ${snapshotId} AND status = 'pending'`;
+      } catch (cleanupError) {
+        console.error(`[${syncId}] Failed to discard pending snapshot ${snapshotId}:`, cleanupError);
+      }
+    }
+
+    if (error instanceof LeaseConflictError) {
+      throw error;
+    }
+
     throw new Error(`Database storage failed: ${error.message}`);
   }
+
+  await garbageCollectSnapshots(dataType, syncId);
 }
 
 /**
- * Retrieve the latest contacts data (from all batches, decompressed)
- * @returns {Promise<Array>} Array of contacts
+ * Compress, insert and index one batch of a pending snapshot
+ * @param {Function} sql - Neon query function
+ * @param {number} snapshotId - Snapshot being written
+ * @param {string} dataType - Data type (entity name)
+ * @param {number} batchIndex - Batch position within the snapshot
+ * @param {Array} batch - Records in the batch
+ * @param {string} syncId - Sync identifier
+ * @param {number} startTime - When the write started (for sync_duration_ms)
  */
-async function getLatestContacts() {
+async function writeBatch(sql, snapshotId, dataType, batchIndex, batch, syncId, startTime) {
+  const batchNumber = batchIndex + 1;
+
+  // Compress this batch
+  const jsonString = JSON.stringify(batch);
+  const originalSize = Buffer.byteLength(jsonString, 'utf8');
+
+  const compressedBuffer = await gzip(jsonString);
+  const compressedSize = compressedBuffer.length;
+
+  // Verify compression worked
+  if (compressedSize >= originalSize) {
+    console.warn(`[${syncId}] Warning: Compression didn't reduce size for batch ${batchNumber}`);
+  }
+
+  // Verify it's actually gzipped (check magic bytes)
+  if (compressedBuffer[0] !== 0x1f || compressedBuffer[1] !== 0x8b) {
+    throw new Error(`Compression failed for batch ${batchNumber} - invalid gzip header`);
+  }
+
+  if (compressedSize > MAX_COMPRESSED_SIZE_MB * 1024 * 1024) {
+    throw new Error(`Batch ${batchNumber} is ${(compressedSize / 1024 / 1024).toFixed(2)}MB compressed, over the ${MAX_COMPRESSED_SIZE_MB}MB limit`);
+  }
+
+  console.log(`[${syncId}] Batch ${batchNumber}: ${batch.length} ${dataType}, ${(originalSize / 1024 / 1024).toFixed(2)}MB → ${(compressedSize / 1024 / 1024).toFixed(2)}MB (${((1 - compressedSize/originalSize) * 100).toFixed(1)}% reduction)`);
+
+  // Insert batch - make sure to pass the Buffer directly
+  await sql`
+    INSERT INTO ac_sync_data (data_type, json_data_compressed, record_count, sync_duration_ms, sync_id, snapshot_id, batch_index)
+    VALUES (
+      ${dataType},
+      ${compressedBuffer},
+      ${batch.length},
+      ${Date.now() - startTime},
+      ${syncId + '_batch_' + batchIndex},
+      ${snapshotId},
+      ${batchIndex}
+    )
+  `;
+
+  await indexBatch(sql, snapshotId, dataType, batchIndex, batch);
+}
+
+/**
+ * Record where each record of a batch lives (see migrations/008_snapshot_record_index.sql)
+ * @param {Function} sql - Neon query function
+ * @param {number} snapshotId - Snapshot being written
+ * @param {string} dataType - Data type (entity name)
+ * @param {number} batchIndex - Batch position within the snapshot
+ * @param {Array} batch - Records in the batch
+ */
+async function indexBatch(sql, snapshotId, dataType, batchIndex, batch) {
+  const parent = getParent(dataType);
+  const rows = [];
+
+  batch.forEach((record, position) => {
+    const recordId = toId(record.id);
+    if (recordId === null) return;
+
+    rows.push({
+      record_id: recordId,
+      email: dataType === 'contacts' && record.email ? String(record.email).toLowerCase() : null,
+      contact_id: dataType === 'deals' ? toId(record.contact) : null,
+      parent_id: parent ? toId(record[parent.field]) : null,
+      position
+    });
+  });
+
+  if (rows.length === 0) return;
+
+  await sql`
+    INSERT INTO ac_snapshot_records (snapshot_id, record_id, email, contact_id, parent_id, batch_index, position)
+    SELECT ${snapshotId}, r.record_id, r.email, r.contact_id, r.parent_id, ${batchIndex}, r.position
+    FROM jsonb_to_recordset(${JSON.stringify(rows)}::jsonb)
+      AS r(record_id BIGINT, email TEXT, contact_id BIGINT, parent_id BIGINT, position INTEGER)
+    ON CONFLICT (snapshot_id, record_id) DO NOTHING
+  `;
+}
+
+/**
+ * Remove superseded snapshots past their retention and pending snapshots abandoned by crashed syncs
+ * Snapshots written by patchRecord are intermediate versions and only outlive the reader grace period
+ * Batches are removed with their snapshot (ON DELETE CASCADE)
+ * @param {string} dataType - Data type (entity name)
+ * @param {string} syncId - Sync identifier for logging
+ */
+async function garbageCollectSnapshots(dataType, syncId) {
   try {
     const sql = neon(process.env.DATABASE_URL);
-    
-    const result = await sql`
-      SELECT json_data_compressed
-      FROM ac_sync_data
-      WHERE data_type = 'contacts'
-      ORDER BY synced_at DESC
+    const retentionMinutes = getSnapshotRetentionMinutes();
+
+    const removed = await sql`
+      DELETE FROM ac_snapshots
+      WHERE data_type = ${dataType}
+        AND (
+          (status = 'superseded' AND superseded_at < NOW() - (${retentionMinutes} * INTERVAL '1 minute'))
+          OR (status = 'superseded' AND kind = 'patch' AND superseded_at < NOW() - (${SUPERSEDED_GRACE_MINUTES} * INTERVAL '1 minute'))
+          OR (status = 'pending' AND created_at < NOW() - (${STALE_PENDING_SNAPSHOT_HOURS} * INTERVAL '1 hour'))
+        )
+      RETURNING id
     `;
 
-    if (result.length === 0) {
-      return [];
+    if (removed.length > 0) {
+      console.log(`[${syncId}] Removed ${removed.length} old ${dataType} snapshots`);
     }
+  } catch (error) {
+    // Old snapshots are invisible to readers, so a failed cleanup can wait for the next sync
+    console.error(`[${syncId}] Failed to remove old ${dataType} snapshots:`, error);
+  }
+}
 
-    // Decompress and combine all batches
-    const allContacts = [];
-    for (const row of result) {
-      const compressed = Buffer.from(row.json_data_compressed);
-      const decompressed = await gunzip(compressed);
-      const batch = JSON.parse(decompressed.toString('utf8'));
-      allContacts.push(...batch);
+/**
+ * Get the active snapshot for a data type
+ * @param {string} dataType - Data type (entity name)
+ * @returns {Promise<Object|null>} Snapshot row, or null if nothing has been stored yet
+ */
+async function getActiveSnapshot(dataType) {
+  return resolveSnapshot(dataType);
+}
+
+/**
+ * Resolve which snapshot to read
+ * @param {string} dataType - Data type (entity name)
+ * @param {Object} options - Options (at most one)
+ * @param {number|string} options.snapshot - Specific snapshot id
+ * @param {Date|string} options.asOf - Read the data as it was at this time
+ * @returns {Promise<Object|null>} Snapshot row, or null if none matches
+ */
+async function resolveSnapshot(dataType, options = {}) {
+  const { snapshot, asOf } = options;
+  const sql = neon(process.env.DATABASE_URL);
+  let result;
+
+  if (snapshot !== undefined && snapshot !== null) {
+    result = await sql`
+      SELECT id, data_type, sync_id, status, record_count, batch_count, sync_duration_ms, activated_at, columns, indexed
+      FROM ac_snapshots
+      WHERE id = ${parseInt(snapshot)}
+        AND data_type = ${dataType}
+        AND status IN ('active', 'superseded')
+    `;
+  } else if (asOf !== undefined && asOf !== null) {
+    // The snapshot that was active at that moment
+    result = await sql`
+      SELECT id, data_type, sync_id, status, record_count, batch_count, sync_duration_ms, activated_at, columns, indexed
+      FROM ac_snapshots
+      WHERE data_type = ${dataType}
+        AND status IN ('active', 'superseded')
+        AND activated_at <= ${new Date(asOf)}
+      ORDER BY activated_at DESC
+      LIMIT 1
+    `;
+  } else {
+    result = await sql`
+      SELECT id, data_type, sync_id, status, record_count, batch_count, sync_duration_ms, activated_at, columns, indexed
+      FROM ac_snapshots
+      WHERE data_type = ${dataType} AND status = 'active'
+    `;
+  }
+
+  return result[0] || null;
+}
+
+/**
+ * List the snapshots available for point-in-time reads, newest first
+ * @param {string} dataType - Data type (entity name)
+ * @param {number} limit - Maximum number of snapshots
+ * @returns {Promise<Array>} Snapshot rows
+ */
+async function listSnapshots(dataType, limit = 50) {
+  const sql = neon(process.env.DATABASE_URL);
+
+  return sql`
+    SELECT id, sync_id, status, record_count, activated_at, superseded_at
+    FROM ac_snapshots
+    WHERE data_type = ${dataType}
+      AND status IN ('active', 'superseded')
+    ORDER BY activated_at DESC
+    LIMIT ${limit}
+  `;
+}
+
+/**
+ * List the batch row ids of a snapshot in order
+ * @param {number} snapshotId - Snapshot id
+ * @returns {Promise<Array<{id: number, batch_index: number, record_count: number}>>}
+ */
+async function getSnapshotBatches(snapshotId) {
+  const sql = neon(process.env.DATABASE_URL);
+
+  return sql`
+    SELECT id, batch_index, record_count
+    FROM ac_sync_data
+    WHERE snapshot_id = ${snapshotId}
+    ORDER BY batch_index ASC
+  `;
+}
+
+/**
+ * Read and decompress a single batch
+ * @param {number} batchId - ac_sync_data row id
+ * @returns {Promise<Array|null>} Records in the batch, or null if the row is gone
+ */
+async function readBatch(batchId) {
+  const sql = neon(process.env.DATABASE_URL);
+
+  const rows = await sql`
+    SELECT json_data_compressed
+    FROM ac_sync_data
+    WHERE id = ${batchId}
+  `;
+
+  if (rows.length === 0 || !rows[0].json_data_compressed) {
+    return null;
+  }
+
+  return decodeBatch(rows[0].json_data_compressed);
+}
+
+/**
+ * Read a snapshot one batch at a time, so only one batch is held in memory
+ * @param {number} snapshotId - Snapshot id
+ * @yields {Array} Records of each batch, in stored order
+ */
+async function* iterateSnapshotRecords(snapshotId) {
+  const batches = await getSnapshotBatches(snapshotId);
+
+  for (const { id: batchId } of batches) {
+    const records = await readBatch(batchId);
+    if (!records) {
+      throw new Error(`Batch ${batchId} of snapshot ${snapshotId} disappeared while reading`);
     }
-    
-    return allContacts;
-    
-  } catch (error) {
-    console.error('Failed to retrieve contacts:', error);
-    throw error;
+    yield records;
+  }
+}
+
+/**
+ * Decode a stored batch (gzipped, or plain JSON for legacy rows)
+ * @param {Buffer|Uint8Array} data - json_data_compressed column value
+ * @returns {Promise<Array>} Records
+ */
+async function decodeBatch(data) {
+  const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data);
+
+  // Check if it's gzip compressed (magic bytes: 1f 8b)
+  const isGzipped = buffer[0] === 0x1f && buffer[1] === 0x8b;
+  const json = isGzipped ? (await gunzip(buffer)).toString('utf8') : buffer.toString('utf8');
+
+  return JSON.parse(json);
+}
+
+/**
+ * Retrieve the stored dataset of an entity
+ * @param {string} dataType - Data type (entity name)
+ * @param {Object} options - Point-in-time options (blob snapshots only)
+ * @param {number|string} options.snapshot - Specific snapshot id
+ * @param {Date|string} options.asOf - Read the data as it was at this time
+ * @returns {Promise<Array>} Array of records
+ */
+async function getStoredRecords(dataType, options = {}) {
+  if (usesRelationalStorage(dataType)) {
+    assertNoPointInTime(options);
+    return getRecordsRelational(dataType);
   }
+
+  return getLatestRecords(dataType, options);
+}
+
+/**
+ * Retrieve the latest contacts data (from all batches, decompressed)
+ * @param {Object} options - Point-in-time options (blob backend only, see getStoredRecords)
+ * @returns {Promise<Array>} Array of contacts
+ */
+async function getLatestContacts(options = {}) {
+  return getStoredRecords('contacts', options);
 }
 
 /**
  * Retrieve the latest deals data (from all batches, decompressed)
+ * @param {Object} options - Point-in-time options (blob backend only, see getStoredRecords)
  * @returns {Promise<Array>} Array of deals
  */
-async function getLatestDeals() {
+async function getLatestDeals(options = {}) {
+  return getStoredRecords('deals', options);
+}
+
+/**
+ * Look up single records without reading the whole dataset
+ * Blob snapshots use the record index so only the batches holding a match are decompressed
+ * @param {string} dataType - Data type (entity name)
+ * @param {Object} criteria - Exactly one of id, ids (array), email (contacts), contactId (deals)
+ *   or parentId (entities declaring a parent, blob backend only)
+ * @param {Object} options - Point-in-time options (blob backend only, see resolveSnapshot)
+ * @returns {Promise<{records: Array, snapshot: Object|null}>} Matches in stored order, and the snapshot read
+ */
+async function findRecords(dataType, criteria, options = {}) {
+  if (usesRelationalStorage(dataType)) {
+    assertNoPointInTime(options);
+    return { records: await findRecordsRelational(dataType, criteria), snapshot: null };
+  }
+
+  const snapshot = await resolveSnapshot(dataType, options);
+  if (!snapshot) {
+    return { records: [], snapshot: null };
+  }
+
+  const matches = criterion(criteria, dataType);
+
+  if (!snapshot.indexed) {
+    // Written before the record index existed
+    console.warn(`Snapshot ${snapshot.id} has no record index, scanning every batch`);
+    const records = await getLatestRecords(dataType, { snapshot: snapshot.id });
+    return { records: records.filter(matches), snapshot };
+  }
+
+  const sql = neon(process.env.DATABASE_URL);
+  let locations;
+
+  if (criteria.id !== undefined) {
+    locations = await sql`
+      SELECT d.id AS batch_id, r.position
+      FROM ac_snapshot_records r
+      JOIN ac_sync_data d ON d.snapshot_id = r.snapshot_id AND d.batch_index = r.batch_index
+      WHERE r.snapshot_id = ${snapshot.id} AND r.record_id = ${toId(criteria.id)}
+    `;
+  } else if (criteria.ids !== undefined) {
+    locations = await sql`
+      SELECT d.id AS batch_id, r.position
+      FROM ac_snapshot_records r
+      JOIN ac_sync_data d ON d.snapshot_id = r.snapshot_id AND d.batch_index = r.batch_index
+      WHERE r.snapshot_id = ${snapshot.id} AND r.record_id = ANY(${criteria.ids.map(toId).filter(Boolean)}::bigint[])
+      ORDER BY r.batch_index, r.position
+    `;
+  } else if (criteria.parentId !== undefined) {
+    locations = await sql`
+      SELECT d.id AS batch_id, r.position
+      FROM ac_snapshot_records r
+      JOIN ac_sync_data d ON d.snapshot_id = r.snapshot_id AND d.batch_index = r.batch_index
+      WHERE r.snapshot_id = ${snapshot.id} AND r.parent_id = ${toId(criteria.parentId)}
+      ORDER BY r.batch_index, r.position
+    `;
+  } else if (criteria.email !== undefined) {
+    locations = await sql`
+      SELECT d.id AS batch_id, r.position
+      FROM ac_snapshot_records r
+      JOIN ac_sync_data d ON d.snapshot_id = r.snapshot_id AND d.batch_index = r.batch_index
+      WHERE r.snapshot_id = ${snapshot.id} AND r.email = ${String(criteria.email).toLowerCase()}
+      ORDER BY r.batch_index, r.position
+    `;
+  } else {
+    locations = await sql`
+      SELECT d.id AS batch_id, r.position
+      FROM ac_snapshot_records r
+      JOIN ac_sync_data d ON d.snapshot_id = r.snapshot_id AND d.batch_index = r.batch_index
+      WHERE r.snapshot_id = ${snapshot.id} AND r.contact_id = ${toId(criteria.contactId)}
+      ORDER BY r.batch_index, r.position
+    `;
+  }
+
+  // Decompress each batch holding a match once
+  const records = [];
+  const batches = new Map();
+
+  for (const { batch_id: batchId, position } of locations) {
+    if (!batches.has(batchId)) {
+      const batch = await readBatch(batchId);
+      if (!batch) {
+        throw new Error(`Batch ${batchId} disappeared during lookup`);
+      }
+      batches.set(batchId, batch);
+    }
+
+    const record = batches.get(batchId)[position];
+    if (record && matches(record)) {
+      records.push(record);
+    }
+  }
+
+  return { records, snapshot };
+}
+
+/**
+ * Build a record predicate for lookup criteria
+ * Also guards index hits against a batch that does not match its index rows
+ * @param {Object} criteria - Exactly one of id, ids, email (contacts), contactId (deals) or parentId
+ * @param {string} dataType - Data type (entity name)
+ * @returns {Function} Predicate
+ */
+function criterion(criteria, dataType) {
+  if (criteria.id !== undefined) {
+    return record => toId(record.id) !== null && toId(record.id) === toId(criteria.id);
+  }
+
+  if (criteria.ids !== undefined) {
+    const ids = new Set(criteria.ids.map(toId).filter(Boolean));
+    return record => ids.has(toId(record.id));
+  }
+
+  const parent = getParent(dataType);
+  if (criteria.parentId !== undefined && parent) {
+    return record => toId(record[parent.field]) !== null && toId(record[parent.field]) === toId(criteria.parentId);
+  }
+
+  if (criteria.email !== undefined && dataType === 'contacts') {
+    const email = String(criteria.email).toLowerCase();
+    return record => Boolean(record.email) && String(record.email).toLowerCase() === email;
+  }
+
+  if (criteria.contactId !== undefined && dataType === 'deals') {
+    return record => toId(record.contact) !== null && toId(record.contact) === toId(criteria.contactId);
+  }
+
+  throw new Error(`Unsupported lookup for ${dataType}`);
+}
+
+/**
+ * The sync currently holding a data type's lease
+ * @param {Function} sql - Neon query function
+ * @param {string} dataType - Data type (entity name)
+ * @returns {Promise<string|null>} Sync id, or null if the lease is free
+ */
+async function getLeaseHolder(sql, dataType) {
+  const [lease] = await sql`
+    SELECT sync_id FROM ac_sync_locks WHERE entity = ${dataType} AND expires_at > NOW()
+  `;
+  return lease ? lease.sync_id : null;
+}
+
+/**
+ * The parent a data type's records belong to, if its entity declares one
+ * @param {string} dataType - Data type (entity name)
+ * @returns {{entity: string, field: string}|null}
+ */
+function getParent(dataType) {
+  const entity = getEntity(dataType);
+  return (entity && entity.parent) || null;
+}
+
+/**
+ * Relational tables only hold the current data
+ * @param {Object} options - Point-in-time options
+ */
+function assertNoPointInTime(options) {
+  if ((options.snapshot !== undefined && options.snapshot !== null) ||
+      (options.asOf !== undefined && options.asOf !== null)) {
+    throw new Error('Point-in-time reads are only supported with STORAGE_BACKEND=blob');
+  }
+}
+
+/**
+ * Retrieve every record of a snapshot (the active one unless options say otherwise)
+ * @param {string} dataType - Data type (entity name)
+ * @param {Object} options - Point-in-time options (see resolveSnapshot)
+ * @returns {Promise<Array>} Records in stored order
+ */
+async function getLatestRecords(dataType, options = {}) {
   try {
     const sql = neon(process.env.DATABASE_URL);
+
+    const snapshot = await resolveSnapshot(dataType, options);
+    if (!snapshot) {
+      return [];
+    }
     
     const result = await sql`
       SELECT json_data_compressed
       FROM ac_sync_data
-      WHERE data_type = 'deals'
-      ORDER BY synced_at DESC
+      WHERE snapshot_id = ${snapshot.id}
+      ORDER BY batch_index ASC
     `;
 
-    if (result.length === 0) {
-      return [];
-    }
-
     // Decompress and combine all batches
-    const allDeals = [];
+    const allRecords = [];
     for (const row of result) {
-      const compressed = Buffer.from(row.json_data_compressed);
-      const decompressed = await gunzip(compressed);
-      const batch = JSON.parse(decompressed.toString('utf8'));
-      allDeals.push(...batch);
+      const batch = await decodeBatch(row.json_data_compressed);
+      allRecords.push(...batch);
     }
     
-    return allDeals;
+    return allRecords;
     
   } catch (error) {
-    console.error('Failed to retrieve deals:', error);
+    console.error(`Failed to retrieve ${dataType}:`, error);
     throw error;
   }
 }
 
 module.exports = {
+  LeaseConflictError,
+  getStorageBackend,
+  usesRelationalStorage,
+  storeRecords,
   storeContactsData,
   storeDealsData,
+  patchRecord,
+  getStoredRecords,
   getLatestContacts,
-  getLatestDeals
-};
\ No newline at end of file
+  getLatestDeals,
+  getActiveSnapshot,
+  resolveSnapshot,
+  listSnapshots,
+  getSnapshotBatches,
+  readBatch,
+  iterateSnapshotRecords,
+  findRecords
+};
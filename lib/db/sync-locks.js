@@ -0,0 +1,96 @@
+// lib/db/sync-locks.js
+const { neon } = require('@neondatabase/serverless');
+
+/**
+ * Per-entity sync leases (see migrations/017_sync_locks.sql)
+ * A lease is held by one sync id until it is released or expires
+ */
+
+/**
+ * Take the leases of several entities at once
+ * Expired leases are taken over; leases still held by another run are left alone
+ * @param {string[]} entities - Entity names
+ * @param {string} syncId - Sync identifier taking the leases
+ * @param {number} ttlSeconds - Lease duration
+ * @returns {Promise<string[]>} Entities whose lease was acquired
+ */
+async function acquireLocks(entities, syncId, ttlSeconds) {
+  try {
+    const sql = neon(process.env.DATABASE_URL);
+
+    const result = await sql`
+      INSERT INTO ac_sync_locks (entity, sync_id, acquired_at, expires_at)
+      SELECT name, ${syncId}, NOW(), NOW() + make_interval(secs => ${ttlSeconds})
+      FROM unnest(${entities}::text[]) AS name
+      ON CONFLICT (entity) DO UPDATE SET
+        sync_id = EXCLUDED.sync_id,
+        acquired_at = EXCLUDED.acquired_at,
+        expires_at = EXCLUDED.expires_at
+      WHERE ac_sync_locks.expires_at < NOW()
+      RETURNING entity
+    `;
+
+    return result.map(row => row.entity);
+  } catch (error) {
+    console.error('Failed to acquire sync locks:', error);
+    throw error;
+  }
+}
+
+/**
+ * Extend the leases a run still holds
+ * @param {string[]} entities - Entity names
+ * @param {string} syncId - Sync identifier holding the leases
+ * @param {number} ttlSeconds - New lease duration from now
+ * @returns {Promise<string[]>} Entities whose lease was extended (a lost lease is missing)
+ */
+async function renewLocks(entities, syncId, ttlSeconds) {
+  const sql = neon(process.env.DATABASE_URL);
+
+  const result = await sql`
+    UPDATE ac_sync_locks
+    SET expires_at = NOW() + make_interval(secs => ${ttlSeconds})
+    WHERE entity = ANY(${entities}) AND sync_id = ${syncId}
+    RETURNING entity
+  `;
+
+  return result.map(row => row.entity);
+}
+
+/**
+ * Release leases held by a run
+ * @param {string[]} entities - Entity names
+ * @param {string} syncId - Sync identifier holding the leases
+ */
+async function releaseLocks(entities, syncId) {
+  const sql = neon(process.env.DATABASE_URL);
+
+  await sql`
+    DELETE FROM ac_sync_locks
+    WHERE entity = ANY(${entities}) AND sync_id = ${syncId}
+  `;
+}
+
+/**
+ * Leases that have not expired
+ * @param {string[]|null} entities - Only these entities (null for all)
+ * @returns {Promise<Array>} Lock rows (entity, sync_id, acquired_at, expires_at)
+ */
+async function getActiveLocks(entities = null) {
+  const sql = neon(process.env.DATABASE_URL);
+
+  return sql`
+    SELECT entity, sync_id, acquired_at, expires_at
+    FROM ac_sync_locks
+    WHERE expires_at > NOW()
+    AND (${entities}::text[] IS NULL OR entity = ANY(${entities}))
+    ORDER BY entity
+  `;
+}
+
+module.exports = {
+  acquireLocks,
+  renewLocks,
+  releaseLocks,
+  getActiveLocks
+};
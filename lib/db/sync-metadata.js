@@ -13,9 +13,20 @@ async function storeSyncMetadata(metadata) {
     contactsSuccess,
     contactsCount,
     contactsError,
+    contactsSyncMode = null,
+    contactsWatermark = null,
+    contactsDeleted = 0,
     dealsSuccess,
     dealsCount,
-    dealsError
+    dealsError,
+    dealsSyncMode = null,
+    dealsWatermark = null,
+    dealsDeleted = 0,
+    entityResults = null,
+    overallSuccess = contactsSuccess && dealsSuccess,
+    status = overallSuccess ? 'success' : 'failed',
+    missingPages = null,
+    options = null
   } = metadata;
 
   try {
@@ -29,10 +40,20 @@ async function storeSyncMetadata(metadata) {
         contacts_success,
         contacts_count,
         contacts_error,
+        contacts_sync_mode,
+        contacts_watermark,
+        contacts_deleted,
         deals_success,
         deals_count,
         deals_error,
-        overall_success
+        deals_sync_mode,
+        deals_watermark,
+        deals_deleted,
+        entity_results,
+        overall_success,
+        status,
+        missing_pages,
+        options
       ) VALUES (
         ${syncId},
         ${timestamp},
@@ -40,10 +61,20 @@ async function storeSyncMetadata(metadata) {
         ${contactsSuccess},
         ${contactsCount},
         ${contactsError},
+        ${contactsSyncMode},
+        ${contactsWatermark},
+        ${contactsDeleted},
         ${dealsSuccess},
         ${dealsCount},
         ${dealsError},
-        ${contactsSuccess && dealsSuccess}
+        ${dealsSyncMode},
+        ${dealsWatermark},
+        ${dealsDeleted},
+        ${entityResults ? JSON.stringify(entityResults) : null}::jsonb,
+        ${overallSuccess},
+        ${status},
+        ${missingPages ? JSON.stringify(missingPages) : null}::jsonb,
+        ${options ? JSON.stringify(options) : null}::jsonb
       )
     `;
   } catch (error) {
@@ -55,9 +86,11 @@ async function storeSyncMetadata(metadata) {
 /**
  * Get recent sync history
  * @param {number} limit - Number of records to retrieve
+ * @param {Object} options - Options
+ * @param {boolean} options.excludeDryRuns - Leave out dry runs (status 'dry_run'), which stored nothing
  * @returns {Promise<Array>} Sync history
  */
-async function getSyncHistory(limit = 10) {
+async function getSyncHistory(limit = 10, options = {}) {
   try {
     const sql = neon(process.env.DATABASE_URL);
     
@@ -69,11 +102,22 @@ async function getSyncHistory(limit = 10) {
         contacts_success,
         contacts_count,
         contacts_error,
+        contacts_sync_mode,
+        contacts_watermark,
+        contacts_deleted,
         deals_success,
         deals_count,
         deals_error,
-        overall_success
+        deals_sync_mode,
+        deals_watermark,
+        deals_deleted,
+        entity_results,
+        overall_success,
+        status,
+        missing_pages,
+        options
       FROM ac_sync_logs
+      WHERE NOT ${Boolean(options.excludeDryRuns)}::boolean OR status IS DISTINCT FROM 'dry_run'
       ORDER BY timestamp DESC
       LIMIT ${limit}
     `;
@@ -86,7 +130,7 @@ async function getSyncHistory(limit = 10) {
 }
 
 /**
- * Get sync statistics
+ * Get sync statistics for the last 7 days (dry runs are left out)
  * @returns {Promise<Object>} Sync statistics
  */
 async function getSyncStats() {
@@ -103,6 +147,7 @@ async function getSyncStats() {
         AVG(deals_count) as avg_deals_count
       FROM ac_sync_logs
       WHERE timestamp > NOW() - INTERVAL '7 days'
+      AND status IS DISTINCT FROM 'dry_run'
     `;
 
     return result[0];
@@ -0,0 +1,125 @@
+// lib/db/sync-state.js
+const { neon } = require('@neondatabase/serverless');
+
+/**
+ * Get the incremental sync state for an entity
+ * @param {string} entity - Entity name (e.g., 'contacts')
+ * @returns {Promise<Object|null>} State row, or null if the entity has never synced
+ */
+async function getSyncState(entity) {
+  try {
+    const sql = neon(process.env.DATABASE_URL);
+
+    const result = await sql`
+      SELECT 
+        entity,
+        watermark,
+        last_sync_id,
+        last_sync_mode,
+        last_sync_at,
+        last_full_sync_at,
+        last_reconciled_at,
+        last_stored_at
+      FROM ac_sync_state
+      WHERE entity = ${entity}
+    `;
+
+    return result[0] || null;
+  } catch (error) {
+    console.error(`Failed to retrieve sync state for ${entity}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get the sync state of several entities at once
+ * @param {string[]} entities - Entity names
+ * @returns {Promise<Map<string, Object>>} State rows keyed by entity (entities that never synced are absent)
+ */
+async function getSyncStates(entities) {
+  if (entities.length === 0) return new Map();
+
+  try {
+    const sql = neon(process.env.DATABASE_URL);
+
+    const result = await sql`
+      SELECT 
+        entity,
+        watermark,
+        last_sync_id,
+        last_sync_mode,
+        last_sync_at,
+        last_full_sync_at,
+        last_reconciled_at,
+        last_stored_at
+      FROM ac_sync_state
+      WHERE entity = ANY(${entities})
+    `;
+
+    return new Map(result.map(row => [row.entity, row]));
+  } catch (error) {
+    console.error(`Failed to retrieve sync state for ${entities.join(', ')}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Record a successful sync and its new high-water mark
+ * @param {string} entity - Entity name (e.g., 'contacts')
+ * @param {Object} state - New state
+ * @param {string|null} state.watermark - Highest updated timestamp seen
+ * @param {string} state.syncId - Sync identifier
+ * @param {string} state.syncMode - 'full' or 'incremental'
+ * @param {boolean} state.reconciled - Whether deletions were reconciled during this run
+ * @param {boolean} state.stored - Whether this run stored the entity's data
+ */
+async function updateSyncState(entity, state) {
+  const { watermark, syncId, syncMode, reconciled = false, stored = false } = state;
+  const isFull = syncMode === 'full';
+
+  try {
+    const sql = neon(process.env.DATABASE_URL);
+
+    await sql`
+      INSERT INTO ac_sync_state (
+        entity,
+        watermark,
+        last_sync_id,
+        last_sync_mode,
+        last_sync_at,
+        last_full_sync_at,
+        last_reconciled_at,
+        last_stored_at,
+        updated_at
+      ) VALUES (
+        ${entity},
+        ${watermark},
+        ${syncId},
+        ${syncMode},
+        NOW(),
+        ${isFull ? new Date() : null},
+        ${reconciled ? new Date() : null},
+        ${stored ? new Date() : null},
+        NOW()
+      )
+      ON CONFLICT (entity) DO UPDATE SET
+        watermark = COALESCE(EXCLUDED.watermark, ac_sync_state.watermark),
+        last_sync_id = EXCLUDED.last_sync_id,
+        last_sync_mode = EXCLUDED.last_sync_mode,
+        last_sync_at = EXCLUDED.last_sync_at,
+        last_full_sync_at = COALESCE(EXCLUDED.last_full_sync_at, ac_sync_state.last_full_sync_at),
+        last_reconciled_at = COALESCE(EXCLUDED.last_reconciled_at, ac_sync_state.last_reconciled_at),
+        last_stored_at = COALESCE(EXCLUDED.last_stored_at, ac_sync_state.last_stored_at),
+        updated_at = NOW()
+    `;
+  } catch (error) {
+    console.error(`Failed to update sync state for ${entity}:`, error);
+    throw error;
+  }
+}
+
+module.exports = {
+  getSyncState,
+  getSyncStates,
+  updateSyncState
+};
@@ -0,0 +1,155 @@
+// lib/db/webhooks.js
+const { neon } = require('@neondatabase/serverless');
+
+/**
+ * Outbound webhook subscriptions and delivery log (migrations/012_webhooks.sql)
+ */
+
+/**
+ * Active webhooks subscribed to an event
+ * @param {string} event - Event name (e.g., 'sync.succeeded')
+ * @returns {Promise<Array>} Webhook rows
+ */
+async function getSubscribedWebhooks(event) {
+  const sql = neon(process.env.DATABASE_URL);
+
+  return sql`
+    SELECT id, url, secret, events, data_types
+    FROM ac_webhooks
+    WHERE active = TRUE
+      AND ${event} = ANY(events)
+    ORDER BY id
+  `;
+}
+
+/**
+ * Log pending deliveries of an event to one webhook
+ * @param {number} webhookId - Webhook id
+ * @param {string} event - Event name
+ * @param {string|null} syncId - Sync that produced the event
+ * @param {Array<Object>} payloads - One payload per delivery
+ * @returns {Promise<Array>} Created rows ({ id, payload }), in payload order
+ */
+async function createDeliveries(webhookId, event, syncId, payloads) {
+  const sql = neon(process.env.DATABASE_URL);
+
+  const rows = await sql`
+    INSERT INTO ac_webhook_deliveries (webhook_id, event, sync_id, payload)
+    SELECT ${webhookId}, ${event}, ${syncId}, p.value
+    FROM jsonb_array_elements(${JSON.stringify(payloads)}::jsonb) WITH ORDINALITY AS p(value, ordinality)
+    ORDER BY p.ordinality
+    RETURNING id, payload
+  `;
+
+  return rows.sort((a, b) => Number(a.id) - Number(b.id));
+}
+
+/**
+ * Claim pending deliveries for sending, oldest first
+ * A claim stamps last_attempt_at and lasts leaseSeconds, so two drains never send the same
+ * delivery at once and deliveries claimed by a drain that died are picked up again later.
+ * Deliveries of inactive webhooks stay pending
+ * @param {number} limit - Maximum number of deliveries
+ * @param {number} leaseSeconds - How long the claim lasts
+ * @returns {Promise<Array>} Delivery rows with the webhook's url and secret, in id order
+ */
+async function claimPendingDeliveries(limit, leaseSeconds) {
+  const sql = neon(process.env.DATABASE_URL);
+
+  const rows = await sql`
+    UPDATE ac_webhook_deliveries d
+    SET last_attempt_at = NOW()
+    FROM ac_webhooks w
+    WHERE w.id = d.webhook_id
+      AND d.id IN (
+        SELECT p.id
+        FROM ac_webhook_deliveries p
+        JOIN ac_webhooks pw ON pw.id = p.webhook_id
+        WHERE p.status = 'pending'
+          AND pw.active = TRUE
+          AND (p.last_attempt_at IS NULL OR p.last_attempt_at < NOW() - make_interval(secs => ${leaseSeconds}))
+        ORDER BY p.id
+        LIMIT ${limit}
+        FOR UPDATE OF p SKIP LOCKED
+      )
+    RETURNING d.id, d.webhook_id, d.event, d.payload, w.url, w.secret
+  `;
+
+  return rows.sort((a, b) => Number(a.id) - Number(b.id));
+}
+
+/**
+ * Record the outcome of a delivery attempt round
+ * @param {number} id - Delivery id
+ * @param {Object} outcome - Outcome
+ * @param {boolean} outcome.delivered - Whether the webhook accepted the payload
+ * @param {number} outcome.attempts - Attempts made in this round
+ * @param {number|null} outcome.responseStatus - HTTP status of the last attempt
+ * @param {string|null} outcome.error - Error of the last failed attempt
+ */
+async function updateDelivery(id, { delivered, attempts, responseStatus, error }) {
+  const sql = neon(process.env.DATABASE_URL);
+
+  await sql`
+    UPDATE ac_webhook_deliveries
+    SET
+      status = ${delivered ? 'delivered' : 'failed'},
+      attempts = attempts + ${attempts},
+      response_status = ${responseStatus},
+      last_error = ${delivered ? null : error},
+      last_attempt_at = NOW(),
+      delivered_at = CASE WHEN ${delivered} THEN NOW() ELSE delivered_at END
+    WHERE id = ${id}
+  `;
+}
+
+/**
+ * Get a delivery with its webhook
+ * @param {number} id - Delivery id
+ * @returns {Promise<Object|null>} Delivery row (with url, secret and active), or null if unknown
+ */
+async function getDelivery(id) {
+  const sql = neon(process.env.DATABASE_URL);
+
+  const result = await sql`
+    SELECT d.*, w.url, w.secret, w.active
+    FROM ac_webhook_deliveries d
+    JOIN ac_webhooks w ON w.id = d.webhook_id
+    WHERE d.id = ${id}
+  `;
+
+  return result[0] || null;
+}
+
+/**
+ * List deliveries, newest first
+ * @param {Object} options - Options
+ * @param {string|null} options.status - Only this status
+ * @param {number|null} options.webhookId - Only this webhook
+ * @param {number} options.limit - Maximum number of rows
+ * @returns {Promise<Array>} Delivery rows (without payloads)
+ */
+async function listDeliveries({ status = null, webhookId = null, limit = 50 } = {}) {
+  const sql = neon(process.env.DATABASE_URL);
+
+  return sql`
+    SELECT
+      d.id, d.webhook_id, w.url, d.event, d.sync_id, d.status, d.attempts,
+      d.response_status, d.last_error, d.created_at, d.last_attempt_at, d.delivered_at
+    FROM ac_webhook_deliveries d
+    JOIN ac_webhooks w ON w.id = d.webhook_id
+    WHERE (${status}::text IS NULL OR d.status = ${status})
+      AND (${webhookId}::integer IS NULL OR d.webhook_id = ${webhookId})
+    ORDER BY d.id DESC
+    LIMIT ${limit}
+  `;
+}
+
+module.exports = {
+  getSubscribedWebhooks,
+  createDeliveries,
+  claimPendingDeliveries,
+  updateDelivery,
+  getDelivery,
+  listDeliveries
+};
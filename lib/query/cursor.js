@@ -0,0 +1,69 @@
+// lib/query/cursor.js
+const crypto = require('crypto');
+
+/**
+ * Opaque pagination cursors for /api/query-data
+ *
+ * A cursor is base64url-encoded JSON:
+ *   s - snapshot id the cursor was issued against (blob backend)
+ *   b, o - batch index and record offset within that batch to resume from (unsorted reads)
+ *   r - last returned record id to resume after (relational backend, unsorted reads)
+ *   k - number of sorted matches already returned (sorted reads)
+ *   q - hash of the type/filters/sort the cursor belongs to
+ */
+
+/**
+ * Hash the parts of a query that a cursor is only valid for
+ * @param {string} type - Data type
+ * @param {Array} filters - Parsed filters
+ * @param {Array} sort - Parsed sort
+ * @returns {string} Short hash
+ */
+function hashQuery(type, filters, sort) {
+  return crypto
+    .createHash('sha1')
+    .update(JSON.stringify({ type, filters, sort }))
+    .digest('base64url')
+    .slice(0, 12);
+}
+
+/**
+ * Encode a cursor
+ * @param {Object} position - Cursor fields (see above)
+ * @returns {string} Opaque cursor
+ */
+function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position), 'utf8').toString('base64url');
+}
+
+/**
+ * Decode a cursor and check it belongs to this query
+ * @param {string} cursor - Opaque cursor from a previous response
+ * @param {string} queryHash - hashQuery() of the current request
+ * @returns {Object} Cursor fields
+ * @throws {Error} If the cursor is malformed or was issued for a different query
+ */
+function decodeCursor(cursor, queryHash) {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Invalid cursor');
+  }
+
+  if (!position || typeof position !== 'object') {
+    throw new Error('Invalid cursor');
+  }
+
+  if (position.q !== queryHash) {
+    throw new Error('Cursor was issued for a different type, filter or sort');
+  }
+
+  return position;
+}
+
+module.exports = {
+  hashQuery,
+  encodeCursor,
+  decodeCursor
+};
@@ -0,0 +1,303 @@
+// lib/query/filters.js
+
+/**
+ * Filtering, sorting and field projection for stored records
+ *
+ * Query syntax (as passed to /api/query-data):
+ *   filter[email]=jane@example.com              equality (case-insensitive)
+ *   filter[stageData.title]=Won                 dotted paths into nested objects
+ *   filter[customFields.LEAD_SOURCE]=Web        custom fields by perstag/label (cf. is a shorthand)
+ *   filter[cdate][gte]=2024-01-01               operators: eq, ne, gt, gte, lt, lte, contains, in, exists
+ *   filter[status][in]=0,1
+ *   sort=-mdate,email                           '-' for descending
+ *   fields=id,email,customFields.LEAD_SOURCE    projection
+ */
+
+const OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'contains', 'in', 'exists'];
+const FILTER_KEY_PATTERN = /^filter\[([^\]]+)\](?:\[([^\]]+)\])?$/;
+
+/**
+ * Parse filter, sort and fields parameters from a request query
+ * @param {Object} query - req.query
+ * @returns {{filters: Array, sort: Array, fields: Array|null}}
+ * @throws {Error} If a parameter is malformed (message is safe to return to the client)
+ */
+function parseQueryOptions(query) {
+  const filters = [];
+
+  for (const [key, rawValue] of Object.entries(query)) {
+    const match = key.match(FILTER_KEY_PATTERN);
+    if (!match) continue;
+
+    const path = normalizePath(match[1]);
+    const operator = match[2] || 'eq';
+
+    if (!OPERATORS.includes(operator)) {
+      throw new Error(`Unknown filter operator "${operator}". Must be one of: ${OPERATORS.join(', ')}`);
+    }
+
+    // Repeated parameters arrive as arrays; each one must match
+    const values = Array.isArray(rawValue) ? rawValue : [rawValue];
+    values.forEach(value => {
+      filters.push({
+        path,
+        operator,
+        value: operator === 'in' ? String(value).split(',') : value
+      });
+    });
+  }
+
+  const sort = query.sort
+    ? String(query.sort).split(',').filter(Boolean).map(field => (
+      field.startsWith('-')
+        ? { path: normalizePath(field.slice(1)), direction: -1 }
+        : { path: normalizePath(field), direction: 1 }
+    ))
+    : [];
+
+  const fields = query.fields
+    ? String(query.fields).split(',').map(field => field.trim()).filter(Boolean).map(normalizePath)
+    : null;
+
+  return { filters, sort, fields };
+}
+
+/**
+ * Expand the cf. shorthand to customFields.
+ */
+function normalizePath(path) {
+  return path.startsWith('cf.') ? `customFields.${path.slice(3)}` : path;
+}
+
+/**
+ * Resolve a dotted path on a record
+ * Arrays along the path are flattened, and custom field entries ({value, ...}) resolve to their value
+ * @param {Object} record - Record
+ * @param {string} path - Dotted path (e.g., 'stageData.title')
+ * @returns {Array} All values found at the path
+ */
+function getFieldValues(record, path) {
+  let current = [record];
+
+  for (const segment of path.split('.')) {
+    const next = [];
+    for (const value of current) {
+      if (value === null || value === undefined) continue;
+      const child = value[segment];
+      if (Array.isArray(child)) {
+        next.push(...child);
+      } else if (child !== undefined) {
+        next.push(child);
+      }
+    }
+    current = next;
+  }
+
+  return current
+    .map(value => (value && typeof value === 'object' && 'value' in value ? value.value : value))
+    .filter(value => value !== undefined);
+}
+
+/**
+ * Compare two scalar values: numerically, then as dates, then as case-insensitive strings
+ * @returns {number} Negative, zero or positive
+ */
+function compareValues(a, b) {
+  const numA = Number(a);
+  const numB = Number(b);
+  if (a !== '' && b !== '' && a !== null && b !== null && Number.isFinite(numA) && Number.isFinite(numB)) {
+    return numA - numB;
+  }
+
+  const timeA = typeof a === 'string' ? Date.parse(a) : NaN;
+  const timeB = typeof b === 'string' ? Date.parse(b) : NaN;
+  if (!Number.isNaN(timeA) && !Number.isNaN(timeB)) {
+    return timeA - timeB;
+  }
+
+  return String(a).toLowerCase().localeCompare(String(b).toLowerCase());
+}
+
+/**
+ * Check a single value against a filter
+ */
+function matchesValue(value, filter) {
+  if (value === null || value === undefined) return false;
+
+  switch (filter.operator) {
+    case 'eq':
+      return compareValues(value, filter.value) === 0;
+    case 'gt':
+      return compareValues(value, filter.value) > 0;
+    case 'gte':
+      return compareValues(value, filter.value) >= 0;
+    case 'lt':
+      return compareValues(value, filter.value) < 0;
+    case 'lte':
+      return compareValues(value, filter.value) <= 0;
+    case 'contains':
+      return String(value).toLowerCase().includes(String(filter.value).toLowerCase());
+    case 'in':
+      return filter.value.some(candidate => compareValues(value, candidate) === 0);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Check whether a record matches every filter
+ * @param {Object} record - Record
+ * @param {Array} filters - Parsed filters (see parseQueryOptions)
+ * @returns {boolean}
+ */
+function matchesFilters(record, filters) {
+  return filters.every(filter => {
+    const values = getFieldValues(record, filter.path)
+      .filter(value => value === null || typeof value !== 'object');
+
+    if (filter.operator === 'exists') {
+      const present = values.some(value => value !== null && value !== '');
+      return String(filter.value) === 'false' ? !present : present;
+    }
+
+    if (filter.operator === 'ne') {
+      return !values.some(value => compareValues(value, filter.value) === 0);
+    }
+
+    // Multi-valued paths (arrays) match if any element matches
+    return values.some(value => matchesValue(value, filter));
+  });
+}
+
+/**
+ * Sort records in place by one or more fields (missing values last)
+ * @param {Array} records - Records
+ * @param {Array} sort - Parsed sort (see parseQueryOptions)
+ * @returns {Array} The same array, sorted
+ */
+function sortRecords(records, sort) {
+  if (sort.length === 0) return records;
+
+  return records.sort((a, b) => {
+    for (const { path, direction } of sort) {
+      const valueA = getFieldValues(a, path)[0];
+      const valueB = getFieldValues(b, path)[0];
+      const missingA = valueA === undefined || valueA === null || valueA === '';
+      const missingB = valueB === undefined || valueB === null || valueB === '';
+
+      if (missingA && missingB) continue;
+      if (missingA) return 1;
+      if (missingB) return -1;
+
+      const result = compareValues(valueA, valueB);
+      if (result !== 0) return result * direction;
+    }
+    return 0;
+  });
+}
+
+/**
+ * Keep only the requested fields of a record
+ * Nested paths keep their structure (e.g. customFields.LEAD_SOURCE → {customFields: {LEAD_SOURCE: {...}}})
+ * @param {Object} record - Record
+ * @param {Array|null} fields - Field paths, or null for the whole record
+ * @returns {Object} Projected record
+ */
+function projectRecord(record, fields) {
+  if (!fields) return record;
+
+  const projected = {};
+
+  for (const path of fields) {
+    const segments = path.split('.');
+    let source = record;
+    let target = projected;
+
+    for (let i = 0; i < segments.length; i++) {
+      if (source === null || source === undefined || typeof source !== 'object') break;
+
+      const segment = segments[i];
+      if (!(segment in source)) break;
+
+      if (i === segments.length - 1) {
+        target[segment] = source[segment];
+      } else {
+        target[segment] = target[segment] || {};
+        target = target[segment];
+        source = source[segment];
+      }
+    }
+  }
+
+  return projected;
+}
+
+/**
+ * Accumulate one page of matching records while scanning batches
+ * Without a sort only the requested window is kept in memory; with a sort
+ * every match has to be kept until the scan is complete
+ * @param {Object} options - Options
+ * @param {Array} options.filters - Parsed filters
+ * @param {Array} options.sort - Parsed sort
+ * @param {number} options.offset - Matches to skip
+ * @param {number} options.limit - Page size
+ * @returns {{add: Function, isComplete: Function, result: Function}}
+ */
+function createRecordScanner({ filters = [], sort = [], offset = 0, limit = 100 }) {
+  const kept = [];
+  let totalRecords = 0;
+  let lastPosition = null;
+  let hasMore = false;
+
+  return {
+    /**
+     * @param {Array} records - Records of one batch
+     * @param {number} batchIndex - Position of the batch, used for resume positions
+     * @param {number} startOffset - Records at the start of the batch to skip
+     */
+    add(records, batchIndex = 0, startOffset = 0) {
+      for (let i = startOffset; i < records.length; i++) {
+        const record = records[i];
+        if (!matchesFilters(record, filters)) continue;
+
+        if (sort.length > 0) {
+          kept.push(record);
+        } else if (totalRecords >= offset && totalRecords < offset + limit) {
+          kept.push(record);
+          lastPosition = { batch: batchIndex, offset: i + 1 };
+        } else if (totalRecords >= offset + limit) {
+          hasMore = true;
+        }
+        totalRecords++;
+      }
+    },
+
+    // Unsorted scans can stop once the page is full and another match was seen
+    isComplete() {
+      return sort.length === 0 && hasMore;
+    },
+
+    result() {
+      if (sort.length > 0) {
+        return {
+          records: sortRecords(kept, sort).slice(offset, offset + limit),
+          totalRecords,
+          lastPosition: null,
+          hasMore: totalRecords > offset + limit
+        };
+      }
+
+      return { records: kept, totalRecords, lastPosition, hasMore };
+    }
+  };
+}
+
+module.exports = {
+  parseQueryOptions,
+  createRecordScanner,
+  getFieldValues,
+  normalizePath,
+  matchesFilters,
+  sortRecords,
+  projectRecord
+};
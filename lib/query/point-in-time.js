@@ -0,0 +1,28 @@
+// lib/query/point-in-time.js
+
+/**
+ * Validate the snapshot/asOf query parameters shared by the read endpoints
+ * @param {Object} query - req.query
+ * @returns {string|null} Error message, or null if the parameters are usable
+ */
+function getPointInTimeError(query) {
+  const { snapshot, asOf } = query;
+
+  if (snapshot !== undefined && asOf !== undefined) {
+    return 'Use either snapshot or asOf, not both';
+  }
+
+  if (snapshot !== undefined && !/^\d+$/.test(snapshot)) {
+    return 'Invalid snapshot parameter. Must be a snapshot id';
+  }
+
+  if (asOf !== undefined && Number.isNaN(Date.parse(asOf))) {
+    return 'Invalid asOf parameter. Must be an ISO 8601 date or timestamp';
+  }
+
+  return null;
+}
+
+module.exports = {
+  getPointInTimeError
+};
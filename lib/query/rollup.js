@@ -0,0 +1,80 @@
+// lib/query/rollup.js
+const { getFieldValues, normalizePath } = require('./filters');
+
+/**
+ * Group-by aggregation over stored records
+ *
+ * Query syntax (as passed to /api/rollup):
+ *   groupBy=accountData.name        group key (dotted path; arrays count the record once per element)
+ *   sum=value,customFields.Seats    numeric fields to total per group
+ */
+
+/**
+ * Parse groupBy and sum parameters from a request query
+ * @param {Object} query - req.query
+ * @returns {{groupBy: string, sum: Array<string>}}
+ * @throws {Error} If groupBy is missing (message is safe to return to the client)
+ */
+function parseRollupOptions(query) {
+  if (!query.groupBy || Array.isArray(query.groupBy)) {
+    throw new Error('Provide a single groupBy field');
+  }
+
+  const sum = query.sum
+    ? String(query.sum).split(',').map(field => field.trim()).filter(Boolean).map(normalizePath)
+    : [];
+
+  return { groupBy: normalizePath(String(query.groupBy)), sum };
+}
+
+/**
+ * Accumulate groups from records added in chunks
+ * @param {Object} options - Result of parseRollupOptions
+ * @returns {{add: Function, result: Function}}
+ */
+function createRollup({ groupBy, sum = [] }) {
+  const groups = new Map();
+
+  return {
+    /**
+     * @param {Array} records - Records that already passed the filters
+     */
+    add(records) {
+      for (const record of records) {
+        const keys = [...new Set(getFieldValues(record, groupBy).map(value => (
+          value === null || value === undefined || value === '' ? null : String(value)
+        )))];
+
+        for (const key of keys.length > 0 ? keys : [null]) {
+          if (!groups.has(key)) {
+            groups.set(key, { key, count: 0, sums: Object.fromEntries(sum.map(field => [field, 0])) });
+          }
+
+          const group = groups.get(key);
+          group.count++;
+
+          sum.forEach(field => {
+            getFieldValues(record, field).forEach(value => {
+              const number = Number(value);
+              if (value !== '' && value !== null && Number.isFinite(number)) {
+                group.sums[field] += number;
+              }
+            });
+          });
+        }
+      }
+    },
+
+    /**
+     * @returns {Array} Groups, largest first (records without a value are grouped under null)
+     */
+    result() {
+      return [...groups.values()].sort((a, b) => b.count - a.count);
+    }
+  };
+}
+
+module.exports = {
+  parseRollupOptions,
+  createRollup
+};
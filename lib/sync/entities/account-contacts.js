@@ -0,0 +1,13 @@
+// lib/sync/entities/account-contacts.js
+
+/**
+ * Account ↔ contact associations, with the contact's job title at the account
+ */
+module.exports = {
+  name: 'accountContacts',
+  endpoint: '/accountContacts',
+  responseKey: 'accountContacts',
+  parent: { entity: 'contacts', field: 'contact' },
+  // Fetched in full (no updated-since filter); contacts read the stored associations in between
+  refreshHours: 6
+};
@@ -0,0 +1,12 @@
+// lib/sync/entities/account-custom-field-data.js
+
+/**
+ * Account custom field values, one record per account and field
+ */
+module.exports = {
+  name: 'accountCustomFieldData',
+  endpoint: '/accountCustomFieldData',
+  responseKey: 'accountCustomFieldData',
+  // Refreshed together with accounts, which read it
+  refreshHours: 6
+};
@@ -0,0 +1,69 @@
+// lib/sync/entities/accounts.js
+
+/**
+ * Accounts (companies), enriched with their custom field values
+ * Field values are read from the stored accountCustomFieldData entity
+ */
+module.exports = {
+  name: 'accounts',
+  endpoint: '/accounts',
+  responseKey: 'accounts',
+  // Fetched in full; contacts and deals read the stored accounts between refreshes
+  refreshHours: 6,
+  params: {
+    // Include deal counts per account
+    'count_deals': 'true'
+  },
+  metadata: [
+    { name: 'customFields', endpoint: '/accountCustomFieldMeta', responseKey: 'accountCustomFieldMeta' },
+    { name: 'fieldValues', entity: 'accountCustomFieldData' }
+  ],
+
+  /**
+   * Create field definition and value lookup maps
+   * @param {Object} metadata - Fetched metadata keyed by name
+   * @returns {Object} Lookup maps
+   */
+  buildLookups({ customFields, fieldValues }) {
+    const customFieldMap = new Map(customFields.map(cf => [String(cf.id), cf]));
+
+    // Account id → its field values
+    const valuesByAccount = new Map();
+    fieldValues
+      .filter(fieldValue => !fieldValue.deleted)
+      .forEach(fieldValue => {
+        const accountId = String(fieldValue.accountId || fieldValue.customerAccountId);
+        if (!valuesByAccount.has(accountId)) {
+          valuesByAccount.set(accountId, []);
+        }
+        valuesByAccount.get(accountId).push(fieldValue);
+      });
+
+    return { customFieldMap, valuesByAccount };
+  },
+
+  /**
+   * Map custom field values the way deals map dealCustomFieldData
+   * @param {Object} account - Raw account from the API
+   * @param {Object} lookups - Result of buildLookups
+   * @returns {Object} Enriched account
+   */
+  enrich(account, { customFieldMap, valuesByAccount }) {
+    const enriched = { ...account, customFields: {} };
+
+    (valuesByAccount.get(String(account.id)) || []).forEach(fieldData => {
+      const fieldMeta = customFieldMap.get(String(fieldData.customFieldId));
+      if (fieldMeta) {
+        const fieldKey = fieldMeta.fieldLabel || `field_${fieldData.customFieldId}`;
+        enriched.customFields[fieldKey] = {
+          value: fieldData.fieldValue,
+          fieldId: fieldData.customFieldId,
+          fieldLabel: fieldMeta.fieldLabel,
+          fieldType: fieldMeta.fieldType
+        };
+      }
+    });
+
+    return enriched;
+  }
+};
@@ -0,0 +1,10 @@
+// lib/sync/entities/automations.js
+
+/**
+ * Automations, with their entered/exited counters as returned by the API
+ */
+module.exports = {
+  name: 'automations',
+  endpoint: '/automations',
+  responseKey: 'automations'
+};
@@ -0,0 +1,45 @@
+// lib/sync/entities/campaigns.js
+
+/**
+ * Email campaigns, enriched with normalized send/open/click stats
+ */
+module.exports = {
+  name: 'campaigns',
+  endpoint: '/campaigns',
+  responseKey: 'campaigns',
+  // Fetched in full, stats included; refreshed with messages
+  refreshHours: 6,
+
+  /**
+   * Collect the campaign counters ActiveCampaign returns as strings into numeric stats
+   * @param {Object} campaign - Raw campaign from the API
+   * @returns {Object} Enriched campaign
+   */
+  enrich(campaign) {
+    const sends = toCount(campaign.send_amt);
+    const uniqueOpens = toCount(campaign.uniqueopens);
+    const uniqueClicks = toCount(campaign.uniquelinkclicks);
+
+    return {
+      ...campaign,
+      stats: {
+        sends,
+        opens: toCount(campaign.opens),
+        uniqueOpens,
+        clicks: toCount(campaign.linkclicks),
+        uniqueClicks,
+        forwards: toCount(campaign.forwards),
+        unsubscribes: toCount(campaign.unsubscribes),
+        hardBounces: toCount(campaign.hardbounces),
+        softBounces: toCount(campaign.softbounces),
+        openRate: sends > 0 ? uniqueOpens / sends : null,
+        clickRate: sends > 0 ? uniqueClicks / sends : null
+      }
+    };
+  }
+};
+
+function toCount(value) {
+  const count = parseInt(value);
+  return Number.isFinite(count) ? count : 0;
+}
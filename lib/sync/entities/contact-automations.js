@@ -0,0 +1,46 @@
+// lib/sync/entities/contact-automations.js
+
+// ActiveCampaign contact automation status codes
+const AUTOMATION_STATUSES = {
+  '1': 'active',
+  '2': 'completed'
+};
+
+/**
+ * Contact ↔ automation runs, enriched with the automation name and a readable status
+ * seriesid is the automation
+ */
+module.exports = {
+  name: 'contactAutomations',
+  endpoint: '/contactAutomations',
+  responseKey: 'contactAutomations',
+  parent: { entity: 'contacts', field: 'contact' },
+  // About contacts × automations in size and fetched in full, so contacts read the stored runs between refreshes
+  refreshHours: 6,
+  metadata: [
+    { name: 'automations', entity: 'automations' }
+  ],
+
+  /**
+   * @param {Object} metadata - Fetched metadata keyed by name
+   * @returns {{automationNames: Map}} Automation id → name
+   */
+  buildLookups({ automations }) {
+    return {
+      automationNames: new Map(automations.map(automation => [String(automation.id), automation.name]))
+    };
+  },
+
+  /**
+   * @param {Object} contactAutomation - Raw contact automation from the API
+   * @param {Object} lookups - Result of buildLookups
+   * @returns {Object} Enriched contact automation
+   */
+  enrich(contactAutomation, { automationNames }) {
+    return {
+      ...contactAutomation,
+      automationName: automationNames.get(String(contactAutomation.seriesid)) || null,
+      statusName: AUTOMATION_STATUSES[String(contactAutomation.status)] || null
+    };
+  }
+};
@@ -0,0 +1,33 @@
+// lib/sync/entities/contact-lists.js
+
+// ActiveCampaign subscription status codes
+const LIST_STATUSES = {
+  '0': 'unconfirmed',
+  '1': 'active',
+  '2': 'unsubscribed',
+  '3': 'bounced'
+};
+
+/**
+ * Contact ↔ list subscriptions, one record per list a contact is on
+ */
+module.exports = {
+  name: 'contactLists',
+  endpoint: '/contactLists',
+  responseKey: 'contactLists',
+  parent: { entity: 'contacts', field: 'contact' },
+  // Fetched in full like contactTags, on the same schedule
+  refreshHours: 6,
+
+  /**
+   * Add a readable subscription status
+   * @param {Object} contactList - Raw subscription from the API
+   * @returns {Object} Enriched subscription
+   */
+  enrich(contactList) {
+    return {
+      ...contactList,
+      statusName: LIST_STATUSES[String(contactList.status)] || null
+    };
+  }
+};
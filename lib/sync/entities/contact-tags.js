@@ -0,0 +1,13 @@
+// lib/sync/entities/contact-tags.js
+
+/**
+ * Contact ↔ tag assignments, one record per tag on a contact
+ */
+module.exports = {
+  name: 'contactTags',
+  endpoint: '/contactTags',
+  responseKey: 'contactTags',
+  parent: { entity: 'contacts', field: 'contact' },
+  // Fetched in full (the endpoint has no updated-since filter), so only every few hours
+  refreshHours: 6
+};
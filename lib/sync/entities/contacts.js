@@ -0,0 +1,172 @@
+// lib/sync/entities/contacts.js
+const { recordChanges } = require('../../db/change-log');
+
+/**
+ * Contacts, enriched with their custom field values, tag names, list subscriptions, account
+ * and the automations they are currently in
+ * Memberships are read from the stored tags/lists/contactTags/contactLists/accounts/accountContacts/
+ * contactAutomations entities, so contacts sync after those when they run (see getDependencies in
+ * lib/sync/registry.js); most of them refresh every few hours and are read as last stored in between
+ */
+module.exports = {
+  name: 'contacts',
+  endpoint: '/contacts',
+  responseKey: 'contacts',
+  params: {
+    // Include field values in response if API supports it
+    'include': 'fieldValues'
+  },
+  incremental: {
+    field: 'updated_timestamp',
+    param: 'filters[updated_after]'
+  },
+  keyset: {
+    param: 'id_greater'
+  },
+  metadata: [
+    { name: 'customFields', endpoint: '/fields', responseKey: 'fields' },
+    { name: 'tags', entity: 'tags', ids: ({ contactTags }) => contactTags.map(contactTag => contactTag.tag) },
+    { name: 'lists', entity: 'lists', ids: ({ contactLists }) => contactLists.map(contactList => contactList.list) },
+    { name: 'contactTags', entity: 'contactTags' },
+    { name: 'contactLists', entity: 'contactLists' },
+    { name: 'accounts', entity: 'accounts', ids: ({ accountContacts }) => accountContacts.map(accountContact => accountContact.account) },
+    { name: 'accountContacts', entity: 'accountContacts' },
+    { name: 'contactAutomations', entity: 'contactAutomations' }
+  ],
+
+  /**
+   * Create field and membership lookup maps for efficient mapping
+   * @param {Object} metadata - Fetched metadata keyed by name
+   * @returns {Object} Lookup maps
+   */
+  buildLookups({ customFields, tags, lists, contactTags, contactLists, accounts, accountContacts, contactAutomations }) {
+    const fieldMap = new Map();
+    customFields.forEach(field => {
+      fieldMap.set(field.id, {
+        title: field.title,
+        type: field.type,
+        perstag: field.perstag
+      });
+    });
+
+    const tagNames = new Map(tags.map(tag => [String(tag.id), tag.tag]));
+    const listNames = new Map(lists.map(list => [String(list.id), list.name]));
+
+    // Memberships flagged deleted by reconciliation no longer exist in ActiveCampaign
+    const tagsByContact = groupByContact(contactTags.filter(contactTag => !contactTag.deleted));
+    const listsByContact = groupByContact(contactLists.filter(contactList => !contactList.deleted));
+    const accountsByContact = groupByContact(accountContacts.filter(accountContact => !accountContact.deleted));
+    const accountNames = new Map(accounts.filter(account => !account.deleted).map(account => [String(account.id), account.name]));
+
+    const automationsByContact = groupByContact(contactAutomations.filter(run => !run.deleted && run.statusName === 'active'));
+
+    return { fieldMap, tagNames, listNames, tagsByContact, listsByContact, accountsByContact, accountNames, automationsByContact };
+  },
+
+  /**
+   * Enrich a contact with custom field data
+   * @param {Object} contact - Raw contact from the API
+   * @param {Object} lookups - Result of buildLookups
+   * @returns {Object} Enriched contact
+   */
+  enrich(contact, { fieldMap }) {
+    const enriched = { ...contact };
+
+    // Map fieldValues if present
+    if (contact.fieldValues && Array.isArray(contact.fieldValues)) {
+      enriched.customFields = {};
+      
+      contact.fieldValues.forEach(fv => {
+        const fieldDef = fieldMap.get(fv.field);
+        if (fieldDef) {
+          const fieldKey = fieldDef.perstag || `field_${fv.field}`;
+          enriched.customFields[fieldKey] = {
+            value: fv.value,
+            fieldId: fv.field,
+            fieldTitle: fieldDef.title,
+            fieldType: fieldDef.type
+          };
+        }
+      });
+    }
+
+    return enriched;
+  },
+
+  /**
+   * Attach tag names, list subscriptions, account and active automations
+   * Runs over the whole stored dataset once memberships stored new data, since they change without
+   * touching the contact
+   * @param {Object} contact - Enriched contact
+   * @param {Object} lookups - Result of buildLookups
+   * @returns {Object} The same contact if nothing changed, otherwise an updated copy
+   */
+  decorate(contact, lookups) {
+    const { tagNames, listNames, tagsByContact, listsByContact, accountsByContact, accountNames, automationsByContact } = lookups;
+    const tags = (tagsByContact.get(String(contact.id)) || [])
+      .map(contactTag => tagNames.get(String(contactTag.tag)))
+      .filter(Boolean)
+      .sort();
+
+    const lists = (listsByContact.get(String(contact.id)) || [])
+      .map(contactList => ({
+        id: contactList.list,
+        name: listNames.get(String(contactList.list)) || null,
+        status: contactList.statusName || null
+      }))
+      .sort((a, b) => Number(a.id) - Number(b.id));
+
+    const subscribedLists = lists
+      .filter(list => list.status === 'active' && list.name)
+      .map(list => list.name);
+
+    // A contact belongs to at most one account
+    const accountContact = (accountsByContact.get(String(contact.id)) || [])
+      .find(association => accountNames.has(String(association.account)));
+    const accountData = accountContact ? {
+      id: accountContact.account,
+      name: accountNames.get(String(accountContact.account)),
+      jobTitle: accountContact.jobTitle || null
+    } : null;
+
+    const automations = (automationsByContact.get(String(contact.id)) || [])
+      .map(run => ({ id: run.seriesid, name: run.automationName, enteredAt: run.adddate || null }))
+      .sort((a, b) => Number(a.id) - Number(b.id));
+
+    if (JSON.stringify([contact.tags, contact.lists, contact.subscribedLists, contact.accountData, contact.automations]) ===
+        JSON.stringify([tags, lists, subscribedLists, accountData, automations])) {
+      return contact;
+    }
+
+    return { ...contact, tags, lists, subscribedLists, accountData, automations };
+  },
+
+  /**
+   * Log created, updated and deleted contacts to ac_change_log
+   * @param {Array} previousContacts - Stored contacts before this sync
+   * @param {Array} contacts - Contacts as stored by this sync
+   * @param {string} syncId - Sync identifier
+   * @param {Object} options - Options
+   * @param {boolean} options.partial - Only the patched contact is passed (see lib/sync/patch.js)
+   */
+  afterStore(previousContacts, contacts, syncId, options = {}) {
+    return recordChanges('contacts', previousContacts, contacts, syncId, options);
+  }
+};
+
+/**
+ * Group membership records by contact id
+ * @param {Array} memberships - contactTags, contactLists, accountContacts or contactAutomations records
+ * @returns {Map<string, Array>} Contact id → memberships
+ */
+function groupByContact(memberships) {
+  const grouped = new Map();
+  memberships.forEach(membership => {
+    const contactId = String(membership.contact);
+    if (!grouped.has(contactId)) {
+      grouped.set(contactId, []);
+    }
+    grouped.get(contactId).push(membership);
+  });
+  return grouped;
+}
@@ -0,0 +1,18 @@
+// lib/sync/entities/deal-activities.js
+
+/**
+ * Deal activity stream (stage changes, emails, calls, notes...), one record per event
+ * Each activity belongs to the deal in its d_id field. Activities are only ever added, so runs
+ * fetch the ones created since the last watermark and skip the periodic deletion check
+ */
+module.exports = {
+  name: 'dealActivities',
+  endpoint: '/dealActivities',
+  responseKey: 'dealActivities',
+  parent: { entity: 'deals', field: 'd_id' },
+  incremental: {
+    field: 'cdate',
+    param: 'filters[created_after]'
+  },
+  reconcile: false
+};
@@ -0,0 +1,10 @@
+// lib/sync/entities/deal-task-types.js
+
+/**
+ * Task types (call, email, meeting...)
+ */
+module.exports = {
+  name: 'dealTasktypes',
+  endpoint: '/dealTasktypes',
+  responseKey: 'dealTasktypes'
+};
@@ -0,0 +1,54 @@
+// lib/sync/entities/deal-tasks.js
+
+/**
+ * Tasks on deals and contacts (reltype/relid point at the parent), enriched with their type
+ */
+module.exports = {
+  name: 'dealTasks',
+  endpoint: '/dealTasks',
+  responseKey: 'dealTasks',
+  // Like notes, contact tasks are indexed under their relid too and ignored by deals
+  parent: { entity: 'deals', field: 'relid' },
+  incremental: {
+    field: 'udate',
+    param: 'filters[updated_after]'
+  },
+  metadata: [
+    { name: 'taskTypes', entity: 'dealTasktypes' }
+  ],
+
+  /**
+   * @param {Object} metadata - Fetched metadata keyed by name
+   * @returns {{taskTypeMap: Map}} Task type id → task type
+   */
+  buildLookups({ taskTypes }) {
+    return {
+      taskTypeMap: new Map(taskTypes.map(taskType => [String(taskType.id), taskType]))
+    };
+  },
+
+  /**
+   * Add the task type title and, for deal tasks, the deal id
+   * @param {Object} task - Raw task from the API
+   * @param {Object} lookups - Result of buildLookups
+   * @returns {Object} Enriched task
+   */
+  enrich(task, { taskTypeMap }) {
+    const taskType = taskTypeMap.get(String(task.dealTasktype));
+
+    return {
+      ...task,
+      taskTypeTitle: taskType ? taskType.title : null,
+      dealId: isDealRelation(task) ? String(task.relid) : null
+    };
+  }
+};
+
+/**
+ * Whether a task or note is attached to a deal
+ * @param {Object} record - Task or note
+ * @returns {boolean}
+ */
+function isDealRelation(record) {
+  return String(record.reltype).toLowerCase() === 'deal';
+}
@@ -0,0 +1,250 @@
+// lib/sync/entities/deals.js
+const { recordDealTransitions } = require('../../db/deal-history');
+const { recordChanges } = require('../../db/change-log');
+
+/**
+ * Deals, enriched with pipeline, stage, owner, custom field, account and activity data
+ * The pipelines, stages and users metadata is also stored by the relational backend;
+ * accounts, activities, notes and tasks are read from their stored entities
+ */
+module.exports = {
+  name: 'deals',
+  endpoint: '/deals',
+  responseKey: 'deals',
+  params: {
+    // Include custom field values if API supports it
+    'include': 'dealCustomFieldData'
+  },
+  incremental: {
+    field: 'mdate',
+    param: 'filters[updated_after]'
+  },
+  metadata: [
+    { name: 'pipelines', endpoint: '/dealGroups', responseKey: 'dealGroups' },
+    { name: 'stages', endpoint: '/dealStages', responseKey: 'dealStages' },
+    { name: 'users', endpoint: '/users', responseKey: 'users' },
+    { name: 'customFields', endpoint: '/dealCustomFieldMeta', responseKey: 'dealCustomFieldMeta' },
+    { name: 'accounts', entity: 'accounts', ids: (metadata, deal) => [deal.account] },
+    { name: 'activities', entity: 'dealActivities' },
+    { name: 'notes', entity: 'notes' },
+    { name: 'tasks', entity: 'dealTasks' }
+  ],
+
+  /**
+   * Create lookup maps for efficient enrichment
+   * @param {Object} metadata - Fetched metadata keyed by name
+   * @returns {Object} Lookup maps keyed by id
+   */
+  buildLookups({ pipelines, stages, users, customFields, accounts, activities, notes, tasks }) {
+    return {
+      pipelineMap: new Map(pipelines.map(p => [p.id, p])),
+      stageMap: new Map(stages.map(s => [s.id, s])),
+      userMap: new Map(users.map(u => [u.id, u])),
+      customFieldMap: new Map(customFields.map(cf => [cf.id, cf])),
+      accountNames: new Map(accounts.filter(a => !a.deleted).map(a => [String(a.id), a.name])),
+      activitySummaries: buildActivitySummaries(activities, notes, tasks, new Date())
+    };
+  },
+
+  /**
+   * Enrich a deal with pipeline, stage, owner and custom field data
+   * @param {Object} deal - Raw deal from the API
+   * @param {Object} lookups - Result of buildLookups
+   * @returns {Object} Enriched deal
+   */
+  enrich(deal, lookups) {
+    const { pipelineMap, stageMap, userMap, customFieldMap } = lookups;
+    const enriched = { ...deal };
+
+    // Add pipeline information
+    if (deal.group) {
+      const pipeline = pipelineMap.get(deal.group);
+      if (pipeline) {
+        enriched.pipelineData = {
+          id: pipeline.id,
+          title: pipeline.title,
+          currency: pipeline.currency
+        };
+      }
+    }
+
+    // Add stage information
+    if (deal.stage) {
+      const stage = stageMap.get(deal.stage);
+      if (stage) {
+        enriched.stageData = {
+          id: stage.id,
+          title: stage.title,
+          order: stage.order,
+          dealOrder: stage.dealOrder,
+          group: stage.group
+        };
+      }
+    }
+
+    // Add owner/user information
+    if (deal.owner) {
+      const user = userMap.get(deal.owner);
+      if (user) {
+        enriched.ownerData = {
+          id: user.id,
+          username: user.username,
+          firstName: user.firstName,
+          lastName: user.lastName,
+          email: user.email
+        };
+      }
+    }
+
+    // Map custom field values
+    if (deal.dealCustomFieldData && Array.isArray(deal.dealCustomFieldData)) {
+      enriched.customFields = {};
+      
+      deal.dealCustomFieldData.forEach(fieldData => {
+        const fieldMeta = customFieldMap.get(fieldData.customFieldId);
+        if (fieldMeta) {
+          const fieldKey = fieldMeta.fieldLabel || `field_${fieldData.customFieldId}`;
+          enriched.customFields[fieldKey] = {
+            value: fieldData.fieldValue,
+            fieldId: fieldData.customFieldId,
+            fieldLabel: fieldMeta.fieldLabel,
+            fieldType: fieldMeta.fieldType
+          };
+        }
+      });
+    }
+
+    return enriched;
+  },
+
+  /**
+   * Attach the deal's account and activity summary
+   * Runs over the whole stored dataset once accounts, activities, notes or tasks stored new data,
+   * since they change without touching their deals (overdue counts also catch up then, or at the
+   * next full sync)
+   * @param {Object} deal - Enriched deal
+   * @param {Object} lookups - Result of buildLookups
+   * @returns {Object} The same deal if nothing changed, otherwise an updated copy
+   */
+  decorate(deal, { accountNames, activitySummaries }) {
+    const accountId = deal.account && deal.account !== '0' ? String(deal.account) : null;
+    const accountData = accountId && accountNames.has(accountId)
+      ? { id: accountId, name: accountNames.get(accountId) }
+      : null;
+
+    const activitySummary = activitySummaries.get(String(deal.id)) || emptyActivitySummary();
+
+    if (JSON.stringify([deal.accountData, deal.activitySummary]) === JSON.stringify([accountData, activitySummary])) {
+      return deal;
+    }
+
+    return { ...deal, accountData, activitySummary };
+  },
+
+  /**
+   * Append stage, status, value and owner changes to ac_deal_history, and log created,
+   * updated and deleted deals to ac_change_log
+   * @param {Array} previousDeals - Stored deals before this sync
+   * @param {Array} deals - Deals as stored by this sync
+   * @param {string} syncId - Sync identifier
+   * @param {Object} options - Options
+   * @param {boolean} options.partial - Only the patched deal is passed (see lib/sync/patch.js)
+   */
+  async afterStore(previousDeals, deals, syncId, options = {}) {
+    await recordDealTransitions(previousDeals, deals, syncId, options);
+    await recordChanges('deals', previousDeals, deals, syncId, options);
+  }
+};
+
+/**
+ * Summarize activities, notes and tasks per deal
+ * lastTouchAt is the latest activity, note or completed task; overdue tasks are open tasks
+ * due before the time of this sync
+ * @param {Array} activities - Stored dealActivities (d_id is the deal)
+ * @param {Array} notes - Stored notes (deal notes have reltype 'Deal')
+ * @param {Array} tasks - Stored dealTasks (enriched with dealId)
+ * @param {Date} now - Reference time for overdue tasks
+ * @returns {Map<string, Object>} Deal id → summary
+ */
+function buildActivitySummaries(activities, notes, tasks, now) {
+  const summaries = new Map();
+  const summaryFor = (dealId) => {
+    if (!summaries.has(dealId)) {
+      summaries.set(dealId, emptyActivitySummary());
+    }
+    return summaries.get(dealId);
+  };
+
+  activities
+    .filter(activity => !activity.deleted && activity.d_id)
+    .forEach(activity => {
+      const summary = summaryFor(String(activity.d_id));
+      summary.activityCount++;
+      summary.lastActivityAt = latest(summary.lastActivityAt, activity.cdate);
+    });
+
+  notes
+    .filter(note => !note.deleted && String(note.reltype).toLowerCase() === 'deal')
+    .forEach(note => {
+      const summary = summaryFor(String(note.relid));
+      summary.noteCount++;
+      summary.lastNoteAt = latest(summary.lastNoteAt, note.cdate);
+    });
+
+  tasks
+    .filter(task => !task.deleted && task.dealId)
+    .forEach(task => {
+      const summary = summaryFor(task.dealId);
+      summary.taskCount++;
+
+      if (String(task.status) === '1') {
+        summary.lastTaskCompletedAt = latest(summary.lastTaskCompletedAt, task.edate || task.udate);
+      } else {
+        summary.openTaskCount++;
+        summary.nextTaskDueAt = earliest(summary.nextTaskDueAt, task.duedate);
+        if (task.duedate && Date.parse(task.duedate) < now.getTime()) {
+          summary.overdueTaskCount++;
+        }
+      }
+    });
+
+  summaries.forEach(summary => {
+    summary.lastTouchAt = [summary.lastActivityAt, summary.lastNoteAt, summary.lastTaskCompletedAt]
+      .reduce((latestSoFar, date) => latest(latestSoFar, date), null);
+  });
+
+  return summaries;
+}
+
+function emptyActivitySummary() {
+  return {
+    activityCount: 0,
+    noteCount: 0,
+    taskCount: 0,
+    openTaskCount: 0,
+    overdueTaskCount: 0,
+    lastActivityAt: null,
+    lastNoteAt: null,
+    lastTaskCompletedAt: null,
+    lastTouchAt: null,
+    nextTaskDueAt: null
+  };
+}
+
+/**
+ * Pick the later of two API dates (unparseable values are ignored)
+ */
+function latest(a, b) {
+  if (!b || Number.isNaN(Date.parse(b))) return a;
+  if (!a) return b;
+  return Date.parse(b) > Date.parse(a) ? b : a;
+}
+
+/**
+ * Pick the earlier of two API dates (unparseable values are ignored)
+ */
+function earliest(a, b) {
+  if (!b || Number.isNaN(Date.parse(b))) return a;
+  if (!a) return b;
+  return Date.parse(b) < Date.parse(a) ? b : a;
+}
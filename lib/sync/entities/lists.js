@@ -0,0 +1,12 @@
+// lib/sync/entities/lists.js
+
+/**
+ * Mailing lists (names for contact list subscriptions)
+ */
+module.exports = {
+  name: 'lists',
+  endpoint: '/lists',
+  responseKey: 'lists',
+  // Names rarely change; contacts read the stored lists between refreshes
+  refreshHours: 6
+};
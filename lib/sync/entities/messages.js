@@ -0,0 +1,12 @@
+// lib/sync/entities/messages.js
+
+/**
+ * Email messages (subject, sender and content used by campaigns)
+ */
+module.exports = {
+  name: 'messages',
+  endpoint: '/messages',
+  responseKey: 'messages',
+  // Fetched in full; nothing else waits on messages
+  refreshHours: 6
+};
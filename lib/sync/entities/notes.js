@@ -0,0 +1,16 @@
+// lib/sync/entities/notes.js
+
+/**
+ * Notes on deals, contacts and accounts (reltype/relid point at the parent)
+ */
+module.exports = {
+  name: 'notes',
+  endpoint: '/notes',
+  responseKey: 'notes',
+  // relid is indexed whatever the reltype; deals only count the notes whose reltype is Deal
+  parent: { entity: 'deals', field: 'relid' },
+  incremental: {
+    field: 'mdate',
+    param: 'filters[updated_after]'
+  }
+};
@@ -0,0 +1,12 @@
+// lib/sync/entities/tags.js
+
+/**
+ * Tags (names for contact tags)
+ */
+module.exports = {
+  name: 'tags',
+  endpoint: '/tags',
+  responseKey: 'tags',
+  // Names rarely change; contacts read the stored tags between refreshes
+  refreshHours: 6
+};
@@ -0,0 +1,107 @@
+// lib/sync/incremental.js
+
+/**
+ * Helpers shared by the incremental (watermark-based) sync modes
+ */
+
+const DEFAULT_FULL_SYNC_INTERVAL_HOURS = 24;
+
+/**
+ * Decide whether this run should be a full or incremental sync
+ * @param {Object|null} state - Row from ac_sync_state (see lib/db/sync-state.js)
+ * @param {Object} options - Options
+ * @param {boolean} options.forceFull - Force a full resync
+ * @returns {{mode: string, reason: string}}
+ */
+function resolveSyncMode(state, options = {}) {
+  if (options.forceFull) {
+    return { mode: 'full', reason: 'full resync requested' };
+  }
+
+  if (process.env.SYNC_MODE === 'full') {
+    return { mode: 'full', reason: 'SYNC_MODE=full' };
+  }
+
+  if (!state || !state.watermark) {
+    return { mode: 'full', reason: 'no watermark recorded yet' };
+  }
+
+  // Periodic full resync (0 disables)
+  const intervalHours = process.env.FULL_SYNC_INTERVAL_HOURS !== undefined
+    ? parseFloat(process.env.FULL_SYNC_INTERVAL_HOURS)
+    : DEFAULT_FULL_SYNC_INTERVAL_HOURS;
+
+  if (intervalHours > 0) {
+    const lastFullSync = state.last_full_sync_at ? new Date(state.last_full_sync_at).getTime() : 0;
+    if (Date.now() - lastFullSync >= intervalHours * 60 * 60 * 1000) {
+      return { mode: 'full', reason: `last full sync older than ${intervalHours}h` };
+    }
+  }
+
+  return { mode: 'incremental', reason: `changes since ${state.watermark}` };
+}
+
+/**
+ * Find the highest timestamp in a set of records
+ * Keeps ActiveCampaign's original string format so it can be sent back as a filter
+ * @param {Array} records - Records to scan
+ * @param {string} field - Timestamp field (e.g., 'updated_timestamp')
+ * @param {string|null} previous - Previous watermark, returned if nothing newer is found
+ * @returns {string|null} New watermark
+ */
+function getHighWaterMark(records, field, previous = null) {
+  let watermark = previous;
+  let watermarkTime = previous ? Date.parse(previous) : -Infinity;
+
+  for (const record of records) {
+    const value = record[field];
+    if (!value) continue;
+
+    const time = Date.parse(value);
+    if (!Number.isNaN(time) && time > watermarkTime) {
+      watermark = value;
+      watermarkTime = time;
+    }
+  }
+
+  return watermark;
+}
+
+/**
+ * Merge changed records into an existing dataset by id
+ * Existing records keep their position; new records are appended
+ * @param {Array} existing - Previously stored records
+ * @param {Array} changed - Changed records from this run
+ * @returns {{records: Array, createdCount: number, updatedCount: number}}
+ */
+function mergeRecords(existing, changed) {
+  const changedById = new Map(changed.map(record => [String(record.id), record]));
+  let updatedCount = 0;
+
+  const records = existing.map(record => {
+    const id = String(record.id);
+    if (changedById.has(id)) {
+      const updated = changedById.get(id);
+      changedById.delete(id);
+      updatedCount++;
+      return updated;
+    }
+    return record;
+  });
+
+  // Whatever is left over was not in the stored dataset yet
+  const created = [...changedById.values()];
+  records.push(...created);
+
+  return {
+    records,
+    createdCount: created.length,
+    updatedCount
+  };
+}
+
+module.exports = {
+  resolveSyncMode,
+  getHighWaterMark,
+  mergeRecords
+};
@@ -0,0 +1,392 @@
+// lib/sync/orchestrator.js
+const { getEntities, getEntity, getDependencies } = require('./registry');
+const { runEntitySync, IncompleteFetchError } = require('./runner');
+const { storeSyncMetadata } = require('../db/sync-metadata');
+const { getSyncStates } = require('../db/sync-state');
+const { acquireLocks, renewLocks, releaseLocks, getActiveLocks } = require('../db/sync-locks');
+
+// Lease per entity (ac_sync_locks), renewed while the run works so only crashed runs lose it
+const LOCK_TTL_SECONDS = parseInt(process.env.SYNC_LOCK_TTL_SECONDS || '300');
+
+/**
+ * Another run holds the lease of an entity this run needs
+ * holders lists every conflicting lease ({ entity, syncId, acquiredAt, expiresAt })
+ */
+class SyncLockedError extends Error {
+  constructor(holders) {
+    super(`Sync already in progress: ${holders.map(holder => `${holder.entity} (${holder.syncId})`).join(', ')}`);
+    this.name = 'SyncLockedError';
+    this.holders = holders;
+  }
+}
+
+/**
+ * Run the registered entity syncs (all, or options.entities) and record the outcome in ac_sync_logs
+ * Shared by the cron endpoint and scripts/sync-standalone.js
+ *
+ * Entities with a refresh interval that are not due yet are skipped (see scheduleEntities), and
+ * the entities reading them start without waiting, from what they last stored
+ *
+ * The run first takes the lease of every entity it syncs, all or nothing, and releases each
+ * as soon as that entity is done, so overlapping runs cannot write the same entity at once.
+ * Dry runs write no entity data and take no leases
+ * @param {string} syncId - Sync identifier
+ * @param {Object} options - Options passed to every entity (see runEntitySync)
+ * @param {string[]} options.entities - Sync only these entities (default: all)
+ * @param {number} options.deadline - Epoch ms after which entities stop fetching and pause
+ * @returns {Promise<{results: Object, overallSuccess: boolean}>} Results keyed by entity name
+ * @throws {SyncLockedError} If another run is syncing any of the entities (nothing is run or logged)
+ */
+async function runSync(syncId, options = {}) {
+  const syncStartTime = Date.now();
+  const { due: entities, skipped } = await scheduleEntities(selectEntities(options.entities), options, syncId);
+  const results = { ...skipped };
+
+  const held = new Set(options.dryRun ? [] : await lockEntities(entities.map(entity => entity.name), syncId));
+  const heartbeat = setInterval(() => {
+    renewLocks([...held], syncId, LOCK_TTL_SECONDS).catch(error => {
+      console.error(`[${syncId}] Failed to renew sync locks:`, error);
+    });
+  }, (LOCK_TTL_SECONDS * 1000) / 3);
+  heartbeat.unref();
+
+  try {
+    // Run syncs in parallel for efficiency, each wave waiting for the entities it reads
+    for (const wave of getSyncWaves(entities)) {
+      const settled = await Promise.allSettled(
+        wave.map(entity => runEntitySync(entity, syncId, { ...options, leased: held.has(entity.name) }))
+      );
+
+      wave.forEach((entity, index) => {
+        results[entity.name] = toResult(settled[index]);
+      });
+
+      await unlockEntities(wave.map(entity => entity.name), held, syncId);
+    }
+  } finally {
+    clearInterval(heartbeat);
+    await unlockEntities([...held], held, syncId);
+  }
+
+  const overallSuccess = Object.values(results).every(result => result.success);
+
+  await recordSync(syncId, Date.now() - syncStartTime, results, options);
+
+  return { results, overallSuccess };
+}
+
+/**
+ * Resolve the entities a run syncs
+ * @param {string[]|null} names - Entity names, or null/empty for every registered entity
+ * @returns {Array<Object>} Entity definitions in registry order
+ * @throws {Error} If a name is not a registered entity
+ */
+function selectEntities(names) {
+  if (!names || names.length === 0) {
+    return getEntities();
+  }
+
+  const unknown = names.filter(name => !getEntity(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown entities: ${unknown.join(', ')}`);
+  }
+
+  return getEntities().filter(entity => names.includes(entity.name));
+}
+
+/**
+ * Split the selected entities into those this run syncs and those not due yet
+ * Entities declaring refreshHours sync at most that often (SYNC_REFRESH_HOURS overrides every
+ * declared interval, 0 syncs them on every run). A forced full resync, or a run that names its
+ * entities, syncs them regardless
+ * @param {Array<Object>} entities - Selected entity definitions
+ * @param {Object} options - Run options (see runSync)
+ * @param {string} syncId - Sync identifier for logging
+ * @returns {Promise<{due: Array<Object>, skipped: Object}>} skipped holds results keyed by entity name
+ */
+async function scheduleEntities(entities, options, syncId) {
+  const scheduled = entities.filter(entity => getRefreshHours(entity) > 0);
+  const named = options.entities && options.entities.length > 0;
+
+  if (scheduled.length === 0 || options.forceFull || named) {
+    return { due: entities, skipped: {} };
+  }
+
+  const states = await getSyncStates(scheduled.map(entity => entity.name));
+  const skipped = {};
+
+  const due = entities.filter(entity => {
+    const state = states.get(entity.name);
+    if (!scheduled.includes(entity) || !state || !state.last_sync_at) return true;
+
+    const nextSyncAt = new Date(new Date(state.last_sync_at).getTime() + getRefreshHours(entity) * 60 * 60 * 1000);
+    if (Date.now() >= nextSyncAt.getTime()) return true;
+
+    skipped[entity.name] = {
+      success: true,
+      skipped: true,
+      lastSyncAt: new Date(state.last_sync_at).toISOString(),
+      nextSyncAt: nextSyncAt.toISOString()
+    };
+    return false;
+  });
+
+  if (due.length < entities.length) {
+    console.log(`[${syncId}] Not due yet, using stored data: ${Object.keys(skipped).join(', ')}`);
+  }
+
+  return { due, skipped };
+}
+
+/**
+ * Refresh interval of an entity in hours (0 syncs it on every run)
+ * @param {Object} entity - Entity definition
+ * @returns {number}
+ */
+function getRefreshHours(entity) {
+  if (entity.refreshHours === undefined) return 0;
+
+  return process.env.SYNC_REFRESH_HOURS !== undefined
+    ? parseFloat(process.env.SYNC_REFRESH_HOURS)
+    : entity.refreshHours;
+}
+
+/**
+ * Take the leases of every entity, or none of them
+ * @param {string[]} names - Entity names
+ * @param {string} syncId - Sync identifier
+ * @returns {Promise<string[]>} The names, all locked by this run
+ * @throws {SyncLockedError} If any lease is held by another run
+ */
+async function lockEntities(names, syncId) {
+  const acquired = await acquireLocks(names, syncId, LOCK_TTL_SECONDS);
+
+  if (acquired.length === names.length) {
+    return acquired;
+  }
+
+  await releaseLocks(acquired, syncId);
+
+  const holders = (await getActiveLocks(names.filter(name => !acquired.includes(name))))
+    .map(lock => ({
+      entity: lock.entity,
+      syncId: lock.sync_id,
+      acquiredAt: lock.acquired_at,
+      expiresAt: lock.expires_at
+    }));
+
+  console.warn(`[${syncId}] Not starting: ${holders.map(holder => `${holder.entity} is locked by ${holder.syncId}`).join(', ')}`);
+  throw new SyncLockedError(holders);
+}
+
+/**
+ * Release leases this run holds (never throws; an unreleased lease expires on its own)
+ * @param {string[]} names - Entity names to release
+ * @param {Set<string>} held - Leases still held by this run (updated)
+ * @param {string} syncId - Sync identifier
+ */
+async function unlockEntities(names, held, syncId) {
+  const releasing = names.filter(name => held.has(name));
+  if (releasing.length === 0) return;
+
+  releasing.forEach(name => held.delete(name));
+
+  try {
+    await releaseLocks(releasing, syncId);
+  } catch (error) {
+    console.error(`[${syncId}] Failed to release sync locks:`, error);
+  }
+}
+
+/**
+ * Order entities into waves that can run in parallel
+ * An entity runs in the wave after the last entity it depends on; a failed dependency
+ * does not block it (it reads whatever that entity last stored), and neither does one
+ * that is not part of this run
+ * @param {Array<Object>} entities - Entity definitions
+ * @returns {Array<Array<Object>>} Waves in run order
+ */
+function getSyncWaves(entities) {
+  const waves = [];
+  const done = new Set();
+  const included = new Set(entities.map(entity => entity.name));
+  let remaining = [...entities];
+
+  while (remaining.length > 0) {
+    const wave = remaining.filter(entity => (
+      getDependencies(entity).every(name => done.has(name) || !included.has(name))
+    ));
+
+    if (wave.length === 0) {
+      throw new Error(`Circular entity dependencies: ${remaining.map(entity => entity.name).join(', ')}`);
+    }
+
+    waves.push(wave);
+    wave.forEach(entity => done.add(entity.name));
+    remaining = remaining.filter(entity => !wave.includes(entity));
+  }
+
+  return waves;
+}
+
+/**
+ * Summarize a settled entity sync
+ * A paused entity (out of time, see options.deadline) counts as unsuccessful for this run,
+ * with resumable: true since the next run picks up its checkpoint
+ * @param {Object} outcome - Promise.allSettled entry
+ * @returns {Object} Entity result
+ */
+function toResult(outcome) {
+  if (outcome.status === 'fulfilled' && outcome.value.paused) {
+    const { syncMode, pagesCompleted, totalPages, durationMs } = outcome.value;
+    return {
+      success: false,
+      resumable: true,
+      error: totalPages
+        ? `Paused after ${pagesCompleted}/${totalPages} pages; the next run resumes`
+        : 'Out of time before starting; the next run syncs it',
+      syncMode,
+      pagesCompleted,
+      totalPages,
+      durationMs
+    };
+  }
+
+  if (outcome.status === 'rejected' && outcome.reason instanceof IncompleteFetchError) {
+    const { message, missingPages, fetchedCount, totalRecords } = outcome.reason;
+    return {
+      success: false,
+      incomplete: true,
+      error: message,
+      missingPages,
+      fetchedCount,
+      totalRecords
+    };
+  }
+
+  return outcome.status === 'fulfilled' ? {
+    success: true,
+    recordCount: outcome.value.recordCount,
+    changedCount: outcome.value.changedCount,
+    deletedCount: outcome.value.deletedCount,
+    duplicateCount: outcome.value.duplicateCount,
+    syncMode: outcome.value.syncMode,
+    pagination: outcome.value.pagination,
+    dryRun: outcome.value.dryRun,
+    truncated: outcome.value.truncated,
+    reconcileSkipped: outcome.value.reconcileSkipped,
+    watermark: outcome.value.watermark,
+    durationMs: outcome.value.durationMs
+  } : {
+    success: false,
+    error: outcome.reason.message
+  };
+}
+
+/**
+ * Store sync metadata for monitoring (never throws)
+ * @param {string} syncId - Sync identifier
+ * @param {number} totalDuration - Run duration in ms
+ * @param {Object} results - Results keyed by entity name
+ * @param {Object} options - Run options (see runSync), recorded in ac_sync_logs.options
+ */
+async function recordSync(syncId, totalDuration, results, options = {}) {
+  const contacts = results.contacts || { success: false, error: 'not synced' };
+  const deals = results.deals || { success: false, error: 'not synced' };
+
+  try {
+    await storeSyncMetadata({
+      syncId,
+      timestamp: new Date(),
+      totalDuration,
+      contactsSuccess: contacts.success,
+      contactsCount: contacts.success ? contacts.recordCount : 0,
+      contactsError: contacts.success ? null : contacts.error,
+      contactsSyncMode: contacts.success ? contacts.syncMode : null,
+      contactsWatermark: contacts.success ? contacts.watermark : null,
+      contactsDeleted: contacts.success ? contacts.deletedCount : 0,
+      dealsSuccess: deals.success,
+      dealsCount: deals.success ? deals.recordCount : 0,
+      dealsError: deals.success ? null : deals.error,
+      dealsSyncMode: deals.success ? deals.syncMode : null,
+      dealsWatermark: deals.success ? deals.watermark : null,
+      dealsDeleted: deals.success ? deals.deletedCount : 0,
+      entityResults: results,
+      overallSuccess: Object.values(results).every(result => result.success),
+      status: options.dryRun ? 'dry_run' : getRunStatus(results),
+      missingPages: getMissingPages(results),
+      options: describeOptions(options)
+    });
+  } catch (metadataError) {
+    console.error(`[${syncId}] Failed to store sync metadata:`, metadataError);
+  }
+}
+
+/**
+ * Overall status of a run for ac_sync_logs.status (dry runs are logged as 'dry_run' instead)
+ * A run is partial when some entities synced, or when an entity kept its stored data
+ * because the fetch came back incomplete or ran out of time
+ * @param {Object} results - Results keyed by entity name
+ * @returns {string} 'success', 'partial' or 'failed'
+ */
+function getRunStatus(results) {
+  const values = Object.values(results);
+
+  if (values.every(result => result.success)) return 'success';
+  if (values.some(result => result.success || result.incomplete || result.resumable)) return 'partial';
+  return 'failed';
+}
+
+/**
+ * The options a run was started with, as recorded in ac_sync_logs.options
+ * @param {Object} options - Run options (see runSync)
+ * @returns {Object} { entities, forceFull, forceReconcile, dryRun, maxPages } (entities null for all)
+ */
+function describeOptions(options) {
+  return {
+    entities: options.entities && options.entities.length > 0 ? options.entities : null,
+    forceFull: Boolean(options.forceFull),
+    forceReconcile: Boolean(options.forceReconcile),
+    dryRun: Boolean(options.dryRun),
+    maxPages: options.maxPages || null
+  };
+}
+
+/**
+ * Pages each incomplete entity is still missing
+ * @param {Object} results - Results keyed by entity name
+ * @returns {Object|null} Page numbers keyed by entity name, or null if nothing is missing
+ */
+function getMissingPages(results) {
+  const missing = Object.entries(results)
+    .filter(([, result]) => result.missingPages && result.missingPages.length > 0)
+    .map(([name, result]) => [name, result.missingPages]);
+
+  return missing.length > 0 ? Object.fromEntries(missing) : null;
+}
+
+/**
+ * Record a run that failed before the entity syncs could report (never throws)
+ * @param {string} syncId - Sync identifier
+ * @param {number} totalDuration - Run duration in ms
+ * @param {Error} error - The failure
+ * @param {Object} options - Run options (see runSync)
+ */
+async function recordSyncFailure(syncId, totalDuration, error, options = {}) {
+  const names = options.entities && options.entities.length > 0
+    ? options.entities
+    : getEntities().map(entity => entity.name);
+
+  const results = {};
+  names.forEach(name => {
+    results[name] = { success: false, error: error.message };
+  });
+
+  await recordSync(syncId, totalDuration, results, options);
+}
+
+module.exports = {
+  SyncLockedError,
+  runSync,
+  recordSyncFailure
+};
@@ -0,0 +1,168 @@
+// lib/sync/patch.js
+const { acRequest, fetchMetadata } = require('../activecampaign/client');
+const { LeaseConflictError, usesRelationalStorage, findRecords, getStoredRecords, patchRecord } = require('../db/storage');
+const { getActiveLocks } = require('../db/sync-locks');
+const { getEntity } = require('./registry');
+const { applyDeletions } = require('./reconcile');
+
+/**
+ * Apply a single record's change to the stored dataset between syncs
+ * (used by the ActiveCampaign webhook receiver, pages/api/webhooks/activecampaign.js)
+ *
+ * The record is fetched again rather than trusting the event payload, then enriched and
+ * decorated by its entity definition exactly as runEntitySync would. Deletions follow
+ * DELETION_MODE like deletion reconciliation. Watermarks are left alone, so the next
+ * incremental sync still fetches the record and settles any race with this patch.
+ *
+ * While a sync holds the entity's lease (see lib/db/sync-locks.js) the event is skipped: the sync
+ * stores what it read before the change, and the next incremental sync fetches the record
+ * @param {Object} entity - Entity definition
+ * @param {string|number} recordId - Record id
+ * @param {string} syncId - Identifier of this update for logging
+ * @param {Object} options - Options
+ * @param {boolean} options.deleted - The record was deleted in ActiveCampaign (skip the fetch)
+ * @returns {Promise<{action: string, reason: string|undefined}>} action is 'upserted', 'deleted', 'unchanged' or 'skipped'
+ */
+async function patchEntityRecord(entity, recordId, syncId, options = {}) {
+  const { name } = entity;
+
+  const [lease] = await getActiveLocks([name]);
+  if (lease) {
+    return skippedForSync(name, lease.sync_id);
+  }
+
+  const { records: [existing], snapshot } = await findRecords(name, { id: recordId });
+
+  if (!snapshot && !usesRelationalStorage(name)) {
+    return { action: 'skipped', reason: `no stored ${name} yet; the first sync will fetch it` };
+  }
+
+  let record = options.deleted ? null : await fetchRecord(entity, recordId);
+  let metadata = {};
+
+  if (record) {
+    const loaded = await loadRecordLookups(entity, record, syncId);
+    metadata = loaded.metadata;
+
+    if (entity.enrich) record = entity.enrich(record, loaded.lookups);
+    if (entity.decorate) record = entity.decorate(record, loaded.lookups);
+  } else {
+    if (!existing || existing.deleted) {
+      return { action: 'unchanged' };
+    }
+
+    // Marked copy (DELETION_MODE=mark) or nothing (DELETION_MODE=remove)
+    [record = null] = applyDeletions([existing], new Set()).records;
+  }
+
+  if (existing && record && JSON.stringify(existing) === JSON.stringify(record)) {
+    return { action: 'unchanged' };
+  }
+
+  try {
+    await patchRecord(name, recordId, record, syncId, metadata);
+  } catch (error) {
+    // A sync took the lease while this record was being prepared
+    if (error instanceof LeaseConflictError) {
+      return skippedForSync(name, error.holder);
+    }
+    throw error;
+  }
+
+  if (entity.afterStore) {
+    try {
+      await entity.afterStore(existing ? [existing] : [], record ? [record] : [], syncId, { partial: true });
+    } catch (error) {
+      console.error(`[${syncId}] ${name} post-store step failed:`, error);
+    }
+  }
+
+  const action = record && !record.deleted ? 'upserted' : 'deleted';
+  console.log(`[${syncId}] Patched ${name} record ${recordId}: ${action}`);
+
+  return { action };
+}
+
+function skippedForSync(name, holder) {
+  return { action: 'skipped', reason: `${name} sync ${holder} is running; the next sync picks the change up` };
+}
+
+/**
+ * Read the metadata one record is enriched and decorated with, and build its lookups
+ * API metadata is fetched as in a sync. Entities whose parent is this entity are read for this
+ * record only, through the snapshot record index, then entries declaring ids read just the
+ * records those point at (tag, list and account names); anything else is read whole
+ * @param {Object} entity - Entity definition
+ * @param {Object} record - The fetched record
+ * @param {string} syncId - Identifier of this update for logging
+ * @returns {Promise<{metadata: Object, lookups: Object}>}
+ */
+async function loadRecordLookups(entity, record, syncId) {
+  const declared = entity.metadata || [];
+  const metadata = {};
+
+  const load = async (entries, read) => {
+    const results = await Promise.all(entries.map(read));
+    entries.forEach((meta, index) => {
+      metadata[meta.name] = results[index];
+    });
+  };
+
+  await load(declared.filter(meta => !meta.ids), meta => {
+    if (!meta.entity) return fetchMetadata(meta.endpoint);
+    return isChildOf(meta.entity, entity.name)
+      ? findStoredRecords(meta.entity, { parentId: record.id })
+      : getStoredRecords(meta.entity);
+  });
+
+  await load(declared.filter(meta => meta.ids), meta => (
+    findStoredRecords(meta.entity, { ids: meta.ids(metadata, record) })
+  ));
+
+  if (declared.length > 0) {
+    console.log(`[${syncId}] Read ${entity.name} ${record.id} metadata (${declared.map(meta => `${meta.name}: ${metadata[meta.name].length}`).join(', ')})`);
+  }
+
+  const lookups = entity.buildLookups ? entity.buildLookups(metadata) : {};
+  return { metadata, lookups };
+}
+
+function isChildOf(childName, parentName) {
+  const child = getEntity(childName);
+  return Boolean(child && child.parent && child.parent.entity === parentName);
+}
+
+async function findStoredRecords(dataType, criteria) {
+  const { records } = await findRecords(dataType, criteria);
+  return records;
+}
+
+/**
+ * Fetch one record with the entity's includes
+ * Included records are side-loaded next to the record, so they are attached to it the way
+ * the list endpoints return them
+ * @returns {Promise<Object|null>} The record, or null if it no longer exists
+ */
+async function fetchRecord(entity, recordId) {
+  let response;
+  try {
+    response = await acRequest(`${entity.endpoint}/${recordId}`, entity.params || {});
+  } catch (error) {
+    if (error.status === 404) return null;
+    throw error;
+  }
+
+  const record = response[entity.responseKey.replace(/s$/, '')];
+  if (!record) return null;
+
+  const includes = String((entity.params && entity.params.include) || '').split(',').filter(Boolean);
+  includes.forEach(include => {
+    if (Array.isArray(response[include])) {
+      record[include] = response[include];
+    }
+  });
+
+  return record;
+}
+
+module.exports = { patchEntityRecord };
@@ -0,0 +1,169 @@
+// lib/sync/reconcile.js
+const { fetchFirstPage, fetchPage, fetchPageAfter, getKeysetCursor } = require('../activecampaign/client');
+const { fetchAllPages, fetchSequentialPages } = require('../utils/rate-limiter');
+
+/**
+ * Hard-delete detection
+ * Compares the ids that still exist in ActiveCampaign with the stored dataset
+ * and marks (or removes) records that have vanished
+ */
+
+const ID_PAGE_LIMIT = 100;
+const DEFAULT_RECONCILE_INTERVAL_HOURS = 6;
+
+/**
+ * Get the configured deletion mode
+ * 'mark' (default) keeps vanished records flagged with deleted/deletedAt,
+ * 'remove' drops them from the stored dataset
+ * @returns {string} Deletion mode
+ */
+function getDeletionMode() {
+  return process.env.DELETION_MODE === 'remove' ? 'remove' : 'mark';
+}
+
+/**
+ * Decide whether an incremental run should also reconcile deletions
+ * @param {Object|null} state - Row from ac_sync_state
+ * @param {Object} options - Options
+ * @param {boolean} options.forceReconcile - Reconcile regardless of the interval
+ * @returns {boolean}
+ */
+function isReconcileDue(state, options = {}) {
+  if (options.forceReconcile) return true;
+
+  const intervalHours = process.env.RECONCILE_INTERVAL_HOURS !== undefined
+    ? parseFloat(process.env.RECONCILE_INTERVAL_HOURS)
+    : DEFAULT_RECONCILE_INTERVAL_HOURS;
+
+  // 0 disables periodic reconciliation
+  if (!(intervalHours > 0)) return false;
+
+  const lastReconciled = state && state.last_reconciled_at
+    ? new Date(state.last_reconciled_at).getTime()
+    : 0;
+
+  return Date.now() - lastReconciled >= intervalHours * 60 * 60 * 1000;
+}
+
+/**
+ * Fetch the ids of every record that currently exists in ActiveCampaign
+ * Keyset entities are read one id-ordered page after another (like their sync, see
+ * lib/sync/runner.js), so records created or deleted meanwhile cannot shift live ids off
+ * the list; offset pages are fetched in parallel and only trusted if they hold meta.total ids
+ * @param {Object} entity - Entity definition
+ * @param {string} pagination - 'keyset' or 'offset', as the entity's sync resolved it
+ * @param {string} syncId - Sync identifier for logging
+ * @param {Object} options - Options
+ * @param {number} options.deadline - Epoch ms after which no new page is fetched (the list is then incomplete)
+ * @returns {Promise<{ids: Set<string>|null, skippedReason: string|null}>} ids is null when the list came
+ *   back incomplete, with skippedReason saying why
+ */
+async function fetchLiveIds(entity, pagination, syncId, options = {}) {
+  const { endpoint } = entity;
+  console.log(`[${syncId}] Fetching live ${endpoint} ids for deletion reconciliation`);
+
+  const ids = new Set();
+  const addIds = (records) => records.forEach(record => ids.add(String(record.id)));
+  let skippedReason = null;
+
+  if (pagination === 'keyset') {
+    const result = await fetchSequentialPages(
+      (afterId) => fetchPageAfter(endpoint, afterId, {
+        limit: ID_PAGE_LIMIT,
+        idParam: entity.keyset.param,
+        additionalParams: { 'orders[id]': 'ASC' }
+      }),
+      {
+        cursor: '0',
+        getCursor: getKeysetCursor,
+        pageSize: ID_PAGE_LIMIT,
+        onPage: (pageNumber, records) => addIds(records),
+        deadline: options.deadline,
+        syncId,
+        operationType: `Fetching ${endpoint} ids by id`
+      }
+    );
+
+    if (!result.complete) {
+      skippedReason = `${endpoint} id list stopped at page ${result.nextPageNumber}`;
+    }
+  } else {
+    const firstPageResult = await fetchFirstPage(endpoint, { limit: ID_PAGE_LIMIT });
+    const total = parseInt(firstPageResult.total); // meta.total is a string
+    const totalPages = Math.ceil(total / ID_PAGE_LIMIT);
+
+    addIds(firstPageResult.records);
+
+    if (totalPages > 1) {
+      const remaining = await fetchAllPages(
+        (pageNumber) => fetchPage(endpoint, pageNumber, { limit: ID_PAGE_LIMIT }),
+        totalPages - 1,
+        {
+          pageNumbers: Array.from({ length: totalPages - 1 }, (_, i) => i + 2),
+          deadline: options.deadline,
+          syncId,
+          operationType: `Fetching ${endpoint} ids pages 2-${totalPages}`
+        }
+      );
+
+      addIds(remaining);
+    }
+
+    // A missing page would make every record on it look deleted
+    if (ids.size < total) {
+      skippedReason = `only ${ids.size}/${total} ${endpoint} ids retrieved`;
+    }
+  }
+
+  if (skippedReason) {
+    console.warn(`[${syncId}] Skipping deletion reconciliation: ${skippedReason}`);
+    return { ids: null, skippedReason };
+  }
+
+  return { ids, skippedReason: null };
+}
+
+/**
+ * Mark or remove records whose ids are no longer live
+ * @param {Array} records - Stored records
+ * @param {Set<string>} liveIds - Ids that still exist in ActiveCampaign
+ * @returns {{records: Array, deletedCount: number}} deletedCount only counts newly vanished records
+ */
+function applyDeletions(records, liveIds) {
+  const mode = getDeletionMode();
+  const deletedAt = new Date().toISOString();
+  const result = [];
+  let deletedCount = 0;
+
+  for (const record of records) {
+    const isLive = liveIds.has(String(record.id));
+
+    if (isLive) {
+      if (record.deleted) {
+        // Restored in ActiveCampaign since it was marked
+        const { deleted, deletedAt: _previousDeletedAt, ...restored } = record;
+        result.push(restored);
+      } else {
+        result.push(record);
+      }
+      continue;
+    }
+
+    if (!record.deleted) {
+      deletedCount++;
+    }
+
+    if (mode === 'mark') {
+      result.push(record.deleted ? record : { ...record, deleted: true, deletedAt });
+    }
+  }
+
+  return { records: result, deletedCount };
+}
+
+module.exports = {
+  getDeletionMode,
+  isReconcileDue,
+  fetchLiveIds,
+  applyDeletions
+};
@@ -0,0 +1,121 @@
+// lib/sync/registry.js
+
+/**
+ * Registry of the ActiveCampaign entities this project syncs
+ *
+ * Each entity is a plain declaration (see lib/sync/entities/) run by lib/sync/runner.js:
+ *   name         - Entity name; also the stored data type and the ac_sync_state key
+ *   endpoint     - List endpoint, e.g. '/contacts'
+ *   responseKey  - Key holding the records in the endpoint's response
+ *   params       - Extra query parameters for every page (optional)
+ *   incremental  - { field, param }: watermark field and the filter that takes it (optional, full sync only without it)
+ *   reconcile    - false to skip the periodic deletion check of incremental runs, for entities that
+ *                  are only ever added to; full syncs still drop what vanished (optional)
+ *   keyset       - { param }: filter returning records with a higher id, for id-ordered keyset
+ *                  pagination (optional, offset pagination without it)
+ *   refreshHours - Sync at most this often, for entities without a usable watermark; runs in
+ *                  between skip it and entities reading it use what it last stored (optional,
+ *                  every run without it; SYNC_REFRESH_HOURS overrides it)
+ *   parent       - { entity, field }: the entity each record belongs to and the field holding its id,
+ *                  indexed so one parent's records can be read on their own (optional)
+ *   metadata     - [{ name, endpoint, responseKey }] fetched once per run before the records, or
+ *                  [{ name, entity }] to read another entity's stored data (optional). When a single
+ *                  record is patched (lib/sync/patch.js), entities whose parent is this one are read
+ *                  for that record only, and entries with ids: (metadata, record) => ids only read
+ *                  those records out of the already read metadata; the rest are read whole
+ *   buildLookups - (metadata) => lookups passed to enrich (optional)
+ *   enrich       - (record, lookups) => enriched record, for fetched records (optional)
+ *   decorate     - (record, lookups) => record, for the whole stored dataset after a full fetch or
+ *                  once an entity it reads stored new data, otherwise for fetched records; return
+ *                  the same object when nothing changed (optional)
+ *   afterStore   - (previousRecords, storedRecords, syncId, { partial }) => Promise, run after the
+ *                  dataset is stored; partial when only a single patched record is passed
+ *                  (lib/sync/patch.js). Failures are logged without failing the sync (optional)
+ *
+ * Declarations must not require the API client or storage, which read this registry.
+ */
+
+const ENTITIES = [
+  require('./entities/lists'),
+  require('./entities/tags'),
+  require('./entities/contact-tags'),
+  require('./entities/contact-lists'),
+  require('./entities/account-custom-field-data'),
+  require('./entities/account-contacts'),
+  require('./entities/accounts'),
+  require('./entities/deal-activities'),
+  require('./entities/notes'),
+  require('./entities/deal-task-types'),
+  require('./entities/deal-tasks'),
+  require('./entities/campaigns'),
+  require('./entities/messages'),
+  require('./entities/automations'),
+  require('./entities/contact-automations'),
+  require('./entities/contacts'),
+  require('./entities/deals')
+];
+
+const entitiesByName = new Map(ENTITIES.map(entity => [entity.name, entity]));
+
+// Response keys of every declared endpoint, including metadata endpoints
+const responseKeys = new Map();
+ENTITIES.forEach(entity => {
+  responseKeys.set(entity.endpoint, entity.responseKey);
+  (entity.metadata || [])
+    .filter(meta => meta.endpoint)
+    .forEach(meta => responseKeys.set(meta.endpoint, meta.responseKey));
+});
+
+/**
+ * Get every registered entity in sync order
+ * @returns {Array<Object>} Entity definitions
+ */
+function getEntities() {
+  return ENTITIES;
+}
+
+/**
+ * Get the names of every registered entity
+ * @returns {Array<string>} Entity names
+ */
+function getEntityNames() {
+  return ENTITIES.map(entity => entity.name);
+}
+
+/**
+ * Get an entity definition by name
+ * @param {string} name - Entity name
+ * @returns {Object|null} Entity definition, or null if unknown
+ */
+function getEntity(name) {
+  return entitiesByName.get(name) || null;
+}
+
+/**
+ * Get the entities whose stored data an entity reads (they must sync first)
+ * @param {Object} entity - Entity definition
+ * @returns {Array<string>} Entity names
+ */
+function getDependencies(entity) {
+  return (entity.metadata || [])
+    .filter(meta => meta.entity && entitiesByName.has(meta.entity))
+    .map(meta => meta.entity);
+}
+
+/**
+ * Get the response key of a declared endpoint
+ * @param {string} endpoint - API endpoint, e.g. '/dealStages'
+ * @returns {string|null} Response key, or null if the endpoint is not declared
+ */
+function getResponseKey(endpoint) {
+  const path = endpoint.split('?')[0].replace(/\/+$/, '');
+  return responseKeys.get(path.startsWith('/') ? path : `/${path}`) || null;
+}
+
+module.exports = {
+  getEntities,
+  getEntityNames,
+  getEntity,
+  getDependencies,
+  getResponseKey
+};
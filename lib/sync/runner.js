@@ -0,0 +1,590 @@
+// lib/sync/runner.js
+const { fetchFirstPage, fetchPage, fetchPageAfter, getKeysetCursor, fetchMetadata } = require('../activecampaign/client');
+const { fetchAllPages, fetchSequentialPages } = require('../utils/rate-limiter');
+const { storeRecords, getStoredRecords } = require('../db/storage');
+const { getSyncState, getSyncStates, updateSyncState } = require('../db/sync-state');
+const { getDependencies } = require('./registry');
+const { resolveSyncMode, getHighWaterMark, mergeRecords } = require('./incremental');
+const { isReconcileDue, fetchLiveIds, applyDeletions } = require('./reconcile');
+const checkpointStore = require('../db/checkpoints');
+
+const LIMIT_PER_PAGE = 100; // ActiveCampaign typically supports 100
+// 'keyset' (default) pages entities that declare keyset by id; 'offset' always uses limit/offset
+const PAGINATION_MODE = process.env.SYNC_PAGINATION || 'keyset';
+const CHECKPOINT_MAX_AGE_HOURS = parseFloat(process.env.SYNC_CHECKPOINT_MAX_AGE_HOURS || '24');
+// How far below meta.total the fetched count may fall (records deleted mid-fetch shift offset pages)
+const COMPLETENESS_TOLERANCE_PERCENT = parseFloat(process.env.SYNC_COMPLETENESS_TOLERANCE_PERCENT || '1');
+
+/**
+ * A fetch that came back short of meta.total, even after re-fetching its failed pages
+ * The stored data is left untouched; missingPages are still staged for the next run
+ */
+class IncompleteFetchError extends Error {
+  constructor(message, { missingPages, fetchedCount, totalRecords }) {
+    super(message);
+    this.name = 'IncompleteFetchError';
+    this.missingPages = missingPages;
+    this.fetchedCount = fetchedCount;
+    this.totalRecords = totalRecords;
+  }
+}
+
+/**
+ * Sync one entity from ActiveCampaign (see lib/sync/registry.js for the definition format)
+ * Runs incrementally (only records changed since the last watermark) when the entity supports it,
+ * falling back to a full resync when forced, scheduled, or no watermark exists yet
+ *
+ * Multi-page fetches are checkpointed page by page (lib/db/checkpoints.js). A run that stops
+ * early - timeout, crash, or options.deadline - resumes from the staged pages on the next run,
+ * and nothing is stored until every page is in. Pages that fail after retries get a second pass;
+ * if any are still missing, or fewer records than meta.total (within SYNC_COMPLETENESS_TOLERANCE_PERCENT)
+ * arrived, the stored data is kept and the sync fails with an IncompleteFetchError
+ *
+ * Entities that declare keyset are paged by id (orders[id]=ASC plus their id filter), one page
+ * after another, so records created or edited mid-sync cannot shift between pages; offset pages
+ * are fetched in parallel. Either way, records are de-duplicated by id before they are stored
+ *
+ * Dry runs fetch, enrich and merge as usual but write nothing - no stored data, watermark or
+ * checkpoint. A fetch cut short by maxPages is never stored either (it would replace the
+ * dataset with a fraction of it)
+ * @param {Object} entity - Entity definition
+ * @param {string} syncId - Sync identifier for logging
+ * @param {Object} options - Options
+ * @param {boolean} options.forceFull - Force a full resync
+ * @param {boolean} options.forceReconcile - Check for deleted records even if not yet due
+ * @param {number} options.deadline - Epoch ms after which no new page is fetched; the entity pauses instead
+ * @param {boolean} options.dryRun - Fetch and enrich without writing anything
+ * @param {number} options.maxPages - Fetch at most this many pages (smoke tests)
+ * @param {boolean} options.leased - The run holds the entity's lease (lib/sync/orchestrator.js); nothing is
+ *   stored if it lost it in the meantime
+ * @returns {Promise<Object>} { recordCount, changedCount, deletedCount, duplicateCount, syncMode, pagination, watermark, durationMs,
+ *   dryRun, truncated, reconcileSkipped } (reconcileSkipped: why deletions could not be checked, or null),
+ *   or { paused: true, syncMode, pagesCompleted, totalPages, durationMs } when the deadline stopped the fetch
+ */
+async function runEntitySync(entity, syncId, options = {}) {
+  const startTime = Date.now();
+  const { name, endpoint, incremental } = entity;
+  const pagination = entity.keyset && PAGINATION_MODE !== 'offset' ? 'keyset' : 'offset';
+  // Runs that must not write, or must not leave a deliberately short fetch to resume, stage pages in memory
+  const staging = options.dryRun || options.maxPages ? createMemoryCheckpoints() : checkpointStore;
+  console.log(`[${syncId}] Starting ${name} sync${options.dryRun ? ' (dry run)' : ''}`);
+
+  try {
+    // Step 1: Decide between full and incremental sync
+    const state = await getSyncState(name);
+    let { mode, reason } = incremental
+      ? resolveSyncMode(state, options)
+      : { mode: 'full', reason: 'entity has no watermark field' };
+
+    // Stored records are the merge target (incremental) and the deletion baseline (full)
+    const existingRecords = await getStoredRecords(name);
+    if (mode === 'incremental' && existingRecords.length === 0) {
+      mode = 'full';
+      reason = `no stored ${name} to merge into`;
+    }
+
+    // An interrupted fetch is resumed with its original mode and filters
+    let checkpoint = await staging.getCheckpoint(name);
+    const staleReason = checkpoint && getStaleCheckpointReason(checkpoint, mode, pagination);
+
+    if (staleReason) {
+      console.log(`[${syncId}] Discarding ${name} checkpoint from ${checkpoint.sync_id} (${staleReason})`);
+      await staging.deleteCheckpoint(name);
+      checkpoint = null;
+    }
+
+    if (checkpoint) {
+      mode = checkpoint.sync_mode;
+      reason = `resuming ${checkpoint.sync_id} at ${checkpoint.pages_completed}/${checkpoint.total_pages} pages`;
+    }
+
+    console.log(`[${syncId}] ${capitalize(name)} sync mode: ${mode} (${reason})`);
+
+    if (!checkpoint && isPastDeadline(options)) {
+      console.log(`[${syncId}] Out of time before starting ${name}, deferring to the next run`);
+      return { paused: true, syncMode: mode, pagesCompleted: 0, totalPages: null, durationMs: Date.now() - startTime };
+    }
+
+    // Step 2: Fetch all metadata in parallel (only once)
+    const { metadata, lookups } = await loadEntityLookups(entity, syncId);
+
+    let additionalParams = { ...entity.params };
+
+    if (mode === 'incremental') {
+      additionalParams[incremental.param] = state.watermark;
+    }
+
+    if (pagination === 'keyset') {
+      additionalParams['orders[id]'] = 'ASC';
+    }
+
+    // Step 3: Get first page to determine total count (a checkpoint already knows it)
+    let totalRecords;
+    let totalPages;
+    let firstPageResult = null;
+
+    if (checkpoint) {
+      additionalParams = checkpoint.params;
+      totalRecords = checkpoint.total_records;
+      totalPages = checkpoint.total_pages;
+    } else {
+      console.log(`[${syncId}] Fetching first page to determine total ${name}`);
+      firstPageResult = await fetchFirstPage(endpoint, {
+        limit: LIMIT_PER_PAGE,
+        additionalParams
+      });
+
+      totalRecords = parseInt(firstPageResult.total); // meta.total is a string
+      totalPages = Math.ceil(totalRecords / LIMIT_PER_PAGE);
+
+      if (totalPages > 1) {
+        await staging.createCheckpoint(name, { syncId, syncMode: mode, pagination, params: additionalParams, totalRecords, totalPages });
+        await staging.saveCheckpointPage(name, 1, firstPageResult.records, pagination === 'keyset' ? getKeysetCursor(firstPageResult.records) : null);
+      }
+    }
+    
+    console.log(`[${syncId}] Total ${name}: ${totalRecords}, Pages: ${totalPages} (${pagination} pagination)`);
+
+    const fetchPages = options.maxPages ? Math.min(totalPages, options.maxPages) : totalPages;
+    const truncated = fetchPages < totalPages;
+    if (truncated) {
+      console.log(`[${syncId}] Fetching only ${fetchPages}/${totalPages} ${name} pages (maxPages), nothing will be stored`);
+    }
+
+    // Step 4: Fetch all records using rate-limited pagination, staging every page
+    let allRecords;
+
+    if (fetchPages > 1) {
+      const fetchContext = {
+        entity,
+        staging,
+        syncId,
+        additionalParams,
+        totalPages: fetchPages,
+        maxPages: truncated ? fetchPages : null,
+        deadline: options.deadline
+      };
+      const missingPages = pagination === 'keyset'
+        ? await fetchKeysetPages(fetchContext)
+        : await fetchOffsetPages(fetchContext);
+
+      if (missingPages.length > 0 && isPastDeadline(options)) {
+        const pagesCompleted = (await staging.getCheckpointPageNumbers(name)).length;
+        const durationMs = Date.now() - startTime;
+        console.log(`[${syncId}] ${capitalize(name)} paused at ${pagesCompleted}/${totalPages} pages, the next run resumes from the checkpoint`);
+        return { paused: true, syncMode: mode, pagesCompleted, totalPages, durationMs };
+      }
+
+      if (missingPages.length > 0) {
+        // The staged pages stay, so the next run only fetches the missing ones
+        const fetchedCount = await staging.getCheckpointRecordCount(name);
+        throw new IncompleteFetchError(
+          `${capitalize(name)} fetch incomplete: ${missingPages.length}/${totalPages} pages missing after retrying (${missingPages.join(', ')}); stored data kept`,
+          { missingPages, fetchedCount, totalRecords }
+        );
+      }
+
+      allRecords = await staging.getCheckpointRecords(name);
+    } else {
+      allRecords = firstPageResult ? firstPageResult.records : await staging.getCheckpointRecords(name);
+    }
+
+    // Offset pages shift when records are created or deleted mid-fetch, so one record can land on two pages
+    const fetchedCount = allRecords.length;
+    allRecords = dedupeById(allRecords);
+    const duplicateCount = fetchedCount - allRecords.length;
+
+    if (duplicateCount > 0) {
+      console.warn(`[${syncId}] Dropped ${duplicateCount} duplicate ${name} fetched twice`);
+    }
+
+    console.log(`[${syncId}] Retrieved ${allRecords.length} ${mode === 'incremental' ? 'changed' : 'total'} ${name}`);
+
+    const minimumRecords = Math.floor(totalRecords * (1 - COMPLETENESS_TOLERANCE_PERCENT / 100));
+    if (!truncated && allRecords.length < minimumRecords) {
+      // Every page arrived, so retrying from this checkpoint would come up short again
+      if (totalPages > 1) await staging.deleteCheckpoint(name);
+      throw new IncompleteFetchError(
+        `${capitalize(name)} fetch incomplete: ${allRecords.length}/${totalRecords} records retrieved, more than ${COMPLETENESS_TOLERANCE_PERCENT}% short; stored data kept`,
+        { missingPages: [], fetchedCount: allRecords.length, totalRecords }
+      );
+    }
+
+    // Step 5: Enrich (only the fetched records - stored records keep their enrichment)
+    const enrichedRecords = entity.enrich
+      ? allRecords.map(record => entity.enrich(record, lookups))
+      : allRecords;
+
+    // Step 6: Merge into the existing dataset and detect deletions
+    let storedRecords = enrichedRecords;
+    let liveIds = null;
+    let reconcileSkipped = null;
+
+    if (mode === 'incremental') {
+      const merged = mergeRecords(existingRecords, enrichedRecords);
+      storedRecords = merged.records;
+      console.log(`[${syncId}] Merged changes: ${merged.createdCount} new, ${merged.updatedCount} updated`);
+
+      if (entity.reconcile !== false && isReconcileDue(state, options) && !truncated) {
+        const live = await fetchLiveIds(entity, pagination, syncId, { deadline: options.deadline });
+        liveIds = live.ids;
+        reconcileSkipped = live.skippedReason;
+      }
+    } else if (existingRecords.length > 0 && !truncated) {
+      if (pagination === 'keyset' || allRecords.length >= totalRecords) {
+        // A complete full fetch is itself the live id list (a keyset fetch that reached the last id is complete)
+        storedRecords = mergeRecords(existingRecords, enrichedRecords).records;
+        liveIds = new Set(allRecords.map(record => String(record.id)));
+      } else {
+        reconcileSkipped = `only ${allRecords.length}/${totalRecords} ${name} fetched`;
+        console.warn(`[${syncId}] Skipping deletion reconciliation: ${reconcileSkipped}`);
+      }
+    }
+
+    let deletedCount = 0;
+    if (liveIds) {
+      const reconciled = applyDeletions(storedRecords, liveIds);
+      storedRecords = reconciled.records;
+      deletedCount = reconciled.deletedCount;
+      console.log(`[${syncId}] Deletion reconciliation: ${deletedCount} ${name} no longer exist in ActiveCampaign`);
+    }
+
+    // Step 7: Refresh data derived from other entities - on every stored record after a full fetch
+    // or when an entity it reads stored new data since this one last synced, otherwise on fetched records
+    let decoratedCount = 0;
+    if (entity.decorate) {
+      const changedDependencies = mode === 'full' ? [] : await getChangedDependencies(entity, state);
+      const decorateAll = mode === 'full' || changedDependencies.length > 0;
+      const fetchedIds = decorateAll ? null : new Set(enrichedRecords.map(record => String(record.id)));
+
+      storedRecords = storedRecords.map(record => {
+        if (!decorateAll && !fetchedIds.has(String(record.id))) return record;
+        const decorated = entity.decorate(record, lookups);
+        if (decorated !== record) decoratedCount++;
+        return decorated;
+      });
+      console.log(`[${syncId}] Refreshed derived data on ${decoratedCount} ${name}` +
+        (decorateAll ? '' : ` (fetched records only; ${getDependencies(entity).join(', ')} unchanged)`));
+    }
+
+    // Step 8: Store in Postgres
+    const writes = !options.dryRun && !truncated;
+    let stored = false;
+
+    if (!writes) {
+      console.log(`[${syncId}] Not storing ${name} (${options.dryRun ? 'dry run' : 'maxPages reached'}): ${storedRecords.length} records would be stored`);
+    } else if (mode === 'full' || enrichedRecords.length > 0 || liveIds || decoratedCount > 0) {
+      console.log(`[${syncId}] Storing ${name} in Postgres`);
+      await storeRecords(name, storedRecords, syncId, metadata, { leased: options.leased });
+      stored = true;
+
+      if (entity.afterStore) {
+        try {
+          await entity.afterStore(existingRecords, storedRecords, syncId);
+        } catch (error) {
+          console.error(`[${syncId}] ${capitalize(name)} post-store step failed:`, error);
+        }
+      }
+    } else {
+      console.log(`[${syncId}] No ${name} changes since ${state.watermark}, keeping stored data`);
+    }
+
+    // Step 9: Advance the watermark only after the data is safely stored
+    const watermark = incremental
+      ? getHighWaterMark(allRecords, incremental.field, mode === 'incremental' ? state.watermark : null)
+      : null;
+
+    if (writes) {
+      await updateSyncState(name, { watermark, syncId, syncMode: mode, reconciled: liveIds !== null, stored });
+    }
+
+    if (totalPages > 1 || checkpoint) {
+      await staging.deleteCheckpoint(name);
+    }
+
+    const durationMs = Date.now() - startTime;
+    console.log(`[${syncId}] ${capitalize(name)} sync completed: ${storedRecords.length} records (${enrichedRecords.length} fetched) in ${(durationMs / 1000).toFixed(2)}s`);
+
+    return {
+      recordCount: storedRecords.length,
+      changedCount: enrichedRecords.length,
+      deletedCount,
+      duplicateCount,
+      syncMode: mode,
+      pagination,
+      watermark,
+      durationMs,
+      dryRun: Boolean(options.dryRun),
+      truncated,
+      reconcileSkipped
+    };
+
+  } catch (error) {
+    const durationMs = Date.now() - startTime;
+    console.error(`[${syncId}] ${capitalize(name)} sync failed after ${(durationMs / 1000).toFixed(2)}s:`, error);
+
+    // Already names the entity, and the orchestrator reports its missing pages
+    if (error instanceof IncompleteFetchError) throw error;
+
+    throw new Error(`${capitalize(name)} sync failed: ${error.message}`);
+  }
+}
+
+/**
+ * Fetch the pages of an offset-paginated checkpoint that are not staged yet, in parallel
+ * Pages that fail after retries get one more pass
+ * @param {Object} context - { entity, staging, syncId, additionalParams, totalPages, deadline }
+ * @returns {Promise<number[]>} Pages still missing
+ */
+async function fetchOffsetPages({ entity, staging, syncId, additionalParams, totalPages, deadline }) {
+  const { name, endpoint } = entity;
+
+  const fetchPendingPages = (pageNumbers, operationType) => fetchAllPages(
+    (pageNumber) => fetchPage(endpoint, pageNumber, {
+      limit: LIMIT_PER_PAGE,
+      additionalParams
+    }),
+    totalPages,
+    {
+      pageNumbers,
+      onPage: (pageNumber, records) => staging.saveCheckpointPage(name, pageNumber, records),
+      deadline,
+      syncId,
+      operationType
+    }
+  );
+
+  let missingPages = await getMissingPages(staging, name, totalPages);
+
+  if (missingPages.length > 0) {
+    await fetchPendingPages(missingPages, `Fetching ${missingPages.length} remaining ${name} pages of ${totalPages}`);
+    missingPages = await getMissingPages(staging, name, totalPages);
+  }
+
+  // Second pass over the pages that failed after retries
+  if (missingPages.length > 0 && !isPastDeadline({ deadline })) {
+    console.warn(`[${syncId}] Re-fetching ${missingPages.length} failed ${name} pages: ${missingPages.join(', ')}`);
+    await fetchPendingPages(missingPages, `Re-fetching failed ${name} pages`);
+    missingPages = await getMissingPages(staging, name, totalPages);
+  }
+
+  return missingPages;
+}
+
+/**
+ * Fetch the rest of a keyset-paginated checkpoint, one page after another from its cursor
+ * Keyset pages are staged contiguously, so a page that fails after retries gets one more
+ * attempt and otherwise leaves every page from it onwards missing
+ * @param {Object} context - { entity, staging, syncId, additionalParams, totalPages, maxPages, deadline }
+ *   (totalPages is an estimate; maxPages, when set, is the last page fetched)
+ * @returns {Promise<number[]>} Pages still missing (estimated from totalPages)
+ */
+async function fetchKeysetPages({ entity, staging, syncId, additionalParams, totalPages, maxPages, deadline }) {
+  const { name, endpoint, keyset } = entity;
+
+  const checkpoint = await staging.getCheckpoint(name);
+  let cursor = checkpoint.cursor || '0';
+  let nextPageNumber = checkpoint.pages_completed + 1;
+
+  for (let pass = 1; pass <= 2; pass++) {
+    if (pass === 2) {
+      if (isPastDeadline({ deadline })) break;
+      console.warn(`[${syncId}] Re-fetching ${name} from page ${nextPageNumber} (after id ${cursor})`);
+    }
+
+    const result = await fetchSequentialPages(
+      (afterId) => fetchPageAfter(endpoint, afterId, {
+        limit: LIMIT_PER_PAGE,
+        idParam: keyset.param,
+        additionalParams
+      }),
+      {
+        cursor,
+        getCursor: getKeysetCursor,
+        pageSize: LIMIT_PER_PAGE,
+        firstPageNumber: nextPageNumber,
+        lastPageNumber: maxPages || null,
+        totalPages,
+        onPage: (pageNumber, records, pageCursor) => staging.saveCheckpointPage(name, pageNumber, records, pageCursor),
+        deadline,
+        syncId,
+        operationType: `Fetching ${name} by id`
+      }
+    );
+
+    if (result.complete) return [];
+
+    cursor = result.cursor;
+    nextPageNumber = result.nextPageNumber;
+  }
+
+  const lastPage = Math.max(totalPages, nextPageNumber);
+  return Array.from({ length: lastPage - nextPageNumber + 1 }, (_, i) => nextPageNumber + i);
+}
+
+/**
+ * Keep one record per id (the last one fetched), in first-seen order
+ * @param {Array} records - Fetched records
+ * @returns {Array} De-duplicated records
+ */
+function dedupeById(records) {
+  const byId = new Map();
+  records.forEach(record => byId.set(String(record.id), record));
+  return byId.size === records.length ? records : Array.from(byId.values());
+}
+
+/**
+ * Why a checkpoint can no longer be resumed
+ * A full fetch can always finish (it supersedes an incremental one), but an incremental
+ * fetch is dropped when this run must be a full resync
+ * @param {Object} checkpoint - ac_sync_checkpoints row
+ * @param {string} mode - Mode this run resolved to
+ * @param {string} pagination - Pagination this run would use
+ * @returns {string|null} Reason, or null if the checkpoint is resumable
+ */
+function getStaleCheckpointReason(checkpoint, mode, pagination) {
+  const ageMs = Date.now() - new Date(checkpoint.started_at).getTime();
+  if (CHECKPOINT_MAX_AGE_HOURS > 0 && ageMs > CHECKPOINT_MAX_AGE_HOURS * 60 * 60 * 1000) {
+    return `older than ${CHECKPOINT_MAX_AGE_HOURS}h`;
+  }
+
+  if (checkpoint.sync_mode === 'incremental' && mode === 'full') {
+    return 'a full resync is due';
+  }
+
+  if (checkpoint.pagination !== pagination) {
+    return `pagination changed to ${pagination}`;
+  }
+
+  return null;
+}
+
+/**
+ * Entities this entity reads that stored data since it last synced
+ * Dependencies without last_stored_at (synced before it was recorded) count as changed
+ * @param {Object} entity - Entity definition
+ * @param {Object|null} state - The entity's ac_sync_state row
+ * @returns {Promise<string[]>} Entity names
+ */
+async function getChangedDependencies(entity, state) {
+  const dependencies = getDependencies(entity);
+  if (dependencies.length === 0) return [];
+
+  const lastSyncAt = state && state.last_sync_at ? new Date(state.last_sync_at).getTime() : 0;
+  const states = await getSyncStates(dependencies);
+
+  return dependencies.filter(dependency => {
+    const dependencyState = states.get(dependency);
+    if (!dependencyState) return false; // Never synced, nothing stored to derive from
+    return !dependencyState.last_stored_at || new Date(dependencyState.last_stored_at).getTime() > lastSyncAt;
+  });
+}
+
+/**
+ * Pages of an entity's checkpoint that are not staged yet
+ * @param {Object} staging - Checkpoint store (lib/db/checkpoints.js or createMemoryCheckpoints())
+ * @param {string} name - Entity name
+ * @param {number} totalPages - Pages in the fetch
+ * @returns {Promise<number[]>} Page numbers in ascending order
+ */
+async function getMissingPages(staging, name, totalPages) {
+  const stagedPages = new Set(await staging.getCheckpointPageNumbers(name));
+  const missingPages = [];
+  for (let pageNumber = 1; pageNumber <= totalPages; pageNumber++) {
+    if (!stagedPages.has(pageNumber)) missingPages.push(pageNumber);
+  }
+  return missingPages;
+}
+
+/**
+ * In-memory stand-in for lib/db/checkpoints.js holding one entity's fetch
+ * Used by dry runs and maxPages runs, which must not write a checkpoint or resume one
+ * @returns {Object} Object with the checkpoint store's functions
+ */
+function createMemoryCheckpoints() {
+  let checkpoint = null;
+  const pages = new Map();
+  const pageNumbers = () => Array.from(pages.keys()).sort((a, b) => a - b);
+
+  return {
+    getCheckpoint: async () => checkpoint && { ...checkpoint, pages_completed: pages.size },
+    createCheckpoint: async (entity, { syncId, syncMode, pagination = 'offset', params, totalRecords, totalPages }) => {
+      pages.clear();
+      checkpoint = {
+        entity,
+        sync_id: syncId,
+        sync_mode: syncMode,
+        pagination,
+        cursor: null,
+        params,
+        total_records: totalRecords,
+        total_pages: totalPages,
+        started_at: new Date()
+      };
+    },
+    saveCheckpointPage: async (entity, pageNumber, records, cursor = null) => {
+      pages.set(pageNumber, records);
+      if (cursor !== null) checkpoint.cursor = String(cursor);
+    },
+    getCheckpointPageNumbers: async () => pageNumbers(),
+    getCheckpointRecordCount: async () => pageNumbers().reduce((count, pageNumber) => count + pages.get(pageNumber).length, 0),
+    getCheckpointRecords: async () => pageNumbers().flatMap(pageNumber => pages.get(pageNumber)),
+    deleteCheckpoint: async () => {
+      checkpoint = null;
+      pages.clear();
+    }
+  };
+}
+
+function isPastDeadline(options) {
+  return Boolean(options.deadline) && Date.now() >= options.deadline;
+}
+
+/**
+ * Fetch an entity's metadata and build the lookups its enrich/decorate take
+ * @param {Object} entity - Entity definition
+ * @param {string} syncId - Sync identifier for logging
+ * @returns {Promise<{metadata: Object, lookups: Object}>}
+ */
+async function loadEntityLookups(entity, syncId) {
+  const metadata = await fetchEntityMetadata(entity, syncId);
+  const lookups = entity.buildLookups ? entity.buildLookups(metadata) : {};
+  return { metadata, lookups };
+}
+
+/**
+ * Fetch the metadata an entity declares, in parallel
+ * @param {Object} entity - Entity definition
+ * @param {string} syncId - Sync identifier for logging
+ * @returns {Promise<Object>} Metadata records keyed by metadata name
+ */
+async function fetchEntityMetadata(entity, syncId) {
+  const declared = entity.metadata || [];
+  if (declared.length === 0) {
+    return {};
+  }
+
+  console.log(`[${syncId}] Fetching ${entity.name} metadata (${declared.map(meta => meta.name).join(', ')})`);
+
+  // Entity references read what that entity's sync stored; everything else comes from the API
+  const results = await Promise.all(declared.map(meta => (
+    meta.entity ? getStoredRecords(meta.entity) : fetchMetadata(meta.endpoint)
+  )));
+
+  const metadata = {};
+  declared.forEach((meta, index) => {
+    metadata[meta.name] = results[index];
+    console.log(`  - ${meta.name}: ${results[index].length}`);
+  });
+
+  return metadata;
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+module.exports = {
+  IncompleteFetchError,
+  runEntitySync
+};
@@ -0,0 +1,98 @@
+// lib/utils/csv.js
+
+/**
+ * Flattening and CSV helpers for exporting enriched records
+ *
+ * Records are flattened to one level:
+ *   - scalar fields keep their name (id, email, cdate)
+ *   - custom fields become customFields.<perstag or label> holding the field value
+ *   - other nested objects become <object>.<field> (stageData.title, ownerData.email)
+ *   - arrays are JSON-encoded
+ */
+
+// Raw API structures that are already represented elsewhere (or are just API URLs)
+const SKIPPED_KEYS = ['links', 'fieldValues', 'dealCustomFieldData'];
+
+/**
+ * Flatten a record to a single level of columns
+ * @param {Object} record - Enriched record
+ * @returns {Object} Column name → scalar value
+ */
+function flattenRecord(record) {
+  const flat = {};
+
+  for (const [key, value] of Object.entries(record)) {
+    if (SKIPPED_KEYS.includes(key) || value === undefined) continue;
+
+    if (key === 'customFields' && value && typeof value === 'object') {
+      for (const [fieldKey, field] of Object.entries(value)) {
+        flat[`customFields.${fieldKey}`] = field && typeof field === 'object' && 'value' in field
+          ? field.value
+          : field;
+      }
+    } else if (Array.isArray(value)) {
+      flat[key] = JSON.stringify(value);
+    } else if (value && typeof value === 'object') {
+      for (const [childKey, childValue] of Object.entries(value)) {
+        flat[`${key}.${childKey}`] = childValue !== null && typeof childValue === 'object'
+          ? JSON.stringify(childValue)
+          : childValue;
+      }
+    } else {
+      flat[key] = value;
+    }
+  }
+
+  return flat;
+}
+
+/**
+ * Add the flattened column names of a record to a set
+ * @param {Object} record - Enriched record
+ * @param {Set<string>} columns - Column set to extend
+ * @returns {Set<string>} The same set
+ */
+function collectColumns(record, columns) {
+  Object.keys(flattenRecord(record)).forEach(column => columns.add(column));
+  return columns;
+}
+
+/**
+ * Order columns: plain fields first (id leading), then nested objects, then custom fields
+ * @param {Iterable<string>} columns - Column names
+ * @returns {Array<string>} Sorted column names
+ */
+function orderColumns(columns) {
+  const rank = column => {
+    if (column === 'id') return 0;
+    if (column.startsWith('customFields.')) return 3;
+    return column.includes('.') ? 2 : 1;
+  };
+
+  return [...columns].sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+}
+
+/**
+ * Escape a value for CSV (RFC 4180)
+ */
+function escapeCsvValue(value) {
+  if (value === undefined || value === null) return '';
+  const str = String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Build one CSV line
+ * @param {Array} values - Cell values
+ * @returns {string} CSV line including the trailing newline
+ */
+function toCsvRow(values) {
+  return values.map(escapeCsvValue).join(',') + '\r\n';
+}
+
+module.exports = {
+  flattenRecord,
+  collectColumns,
+  orderColumns,
+  toCsvRow
+};
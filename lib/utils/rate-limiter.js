@@ -2,76 +2,136 @@
 
 /**
  * Rate Limiter for ActiveCampaign API
- * Enforces 10 requests per second maximum
- * Implements retry logic with exponential backoff
+ * Every request takes a token from one process-wide token bucket (AC_RATE_LIMIT_PER_SECOND,
+ * default 10/s), so entities syncing in parallel share the budget instead of each assuming it.
+ * A 429 pauses the whole bucket for its Retry-After.
+ * Implements retry logic with exponential backoff and jitter for retryable errors only
  */
 
-const BATCH_SIZE = 10;
-const BATCH_DELAY_MS = 1000; // Wait 1 second between batches
+const RATE_LIMIT_PER_SECOND = parseFloat(process.env.AC_RATE_LIMIT_PER_SECOND || '10');
+const BUCKET_CAPACITY = Math.max(1, Math.floor(RATE_LIMIT_PER_SECOND)); // Largest burst after an idle period
+const MAX_CONCURRENT_CALLS = 10; // Calls in flight (or waiting for a token) per executeWithRateLimit
 const MAX_RETRIES = 3;
 const INITIAL_RETRY_DELAY_MS = 1000;
+const RETRY_AFTER_JITTER_MS = 500; // Spreads out callers resuming after the same Retry-After
+
+const bucket = {
+  tokens: BUCKET_CAPACITY,
+  refilledAt: Date.now(),
+  pausedUntil: 0,
+  queue: Promise.resolve()
+};
 
 /**
- * Execute API calls in rate-limited batches
+ * Wait for a request slot in the shared token bucket
+ * Callers are served in the order they asked
+ * @returns {Promise<void>}
+ */
+function acquireToken() {
+  const turn = bucket.queue.then(waitForToken);
+  bucket.queue = turn.catch(() => {});
+  return turn;
+}
+
+async function waitForToken() {
+  for (;;) {
+    const now = Date.now();
+
+    if (now < bucket.pausedUntil) {
+      await sleep(bucket.pausedUntil - now);
+      continue;
+    }
+
+    bucket.tokens = Math.min(
+      BUCKET_CAPACITY,
+      bucket.tokens + ((now - bucket.refilledAt) / 1000) * RATE_LIMIT_PER_SECOND
+    );
+    bucket.refilledAt = now;
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return;
+    }
+
+    await sleep(Math.ceil(((1 - bucket.tokens) / RATE_LIMIT_PER_SECOND) * 1000));
+  }
+}
+
+/**
+ * Stop handing out tokens for a while
+ * ActiveCampaign rate limits the whole account, so a 429 holds back every caller, not just the one that got it
+ * @param {number} ms - Pause duration
+ */
+function pauseRequests(ms) {
+  const until = Date.now() + ms;
+  if (until <= bucket.pausedUntil) return;
+
+  bucket.pausedUntil = until;
+  // Start refilling from empty once the pause ends
+  bucket.tokens = 0;
+  bucket.refilledAt = until;
+}
+
+/**
+ * Execute API calls with at most MAX_CONCURRENT_CALLS in flight
+ * Each call still waits for its own token (see acquireToken)
  * @param {Function[]} apiCallFactories - Array of functions that return promises
  * @param {Object} options - Configuration options
  * @param {string} options.syncId - Sync identifier for logging
  * @param {string} options.operationType - Description of operation (e.g., "Fetching contacts")
- * @returns {Promise<Array>} Array of results
+ * @param {number} options.deadline - Epoch ms after which no new call is started (in-flight calls finish)
+ * @returns {Promise<Array>} Array of results, in call order (calls not started are { success: false, skipped: true })
  */
 async function executeWithRateLimit(apiCallFactories, options = {}) {
-  const { syncId = 'unknown', operationType = 'API calls' } = options;
-  
-  const results = [];
+  const { syncId = 'unknown', operationType = 'API calls', deadline = null } = options;
+
   const totalCalls = apiCallFactories.length;
-  const totalBatches = Math.ceil(totalCalls / BATCH_SIZE);
-
-  console.log(`[${syncId}] ${operationType}: ${totalCalls} calls across ${totalBatches} batches`);
-
-  for (let batchIndex = 0; batchIndex < totalBatches; batchIndex++) {
-    const batchStart = batchIndex * BATCH_SIZE;
-    const batchEnd = Math.min(batchStart + BATCH_SIZE, totalCalls);
-    const batch = apiCallFactories.slice(batchStart, batchEnd);
-
-    const batchStartTime = Date.now();
-    console.log(`[${syncId}] Batch ${batchIndex + 1}/${totalBatches}: Executing ${batch.length} calls`);
-
-    // Execute batch with retries
-    const batchResults = await Promise.all(
-      batch.map((callFactory, index) => 
-        executeWithRetry(callFactory, {
-          syncId,
-          callIndex: batchStart + index,
-          totalCalls
-        })
-      )
-    );
+  const results = new Array(totalCalls);
+  const startTime = Date.now();
+  let nextCall = 0;
 
-    results.push(...batchResults);
+  console.log(`[${syncId}] ${operationType}: ${totalCalls} calls at up to ${RATE_LIMIT_PER_SECOND}/s`);
 
-    const batchDuration = Date.now() - batchStartTime;
-    console.log(`[${syncId}] Batch ${batchIndex + 1}/${totalBatches}: Completed in ${batchDuration}ms`);
+  async function worker() {
+    while (nextCall < totalCalls) {
+      const callIndex = nextCall++;
 
-    // Wait between batches (except after the last batch)
-    if (batchIndex < totalBatches - 1) {
-      const waitTime = Math.max(0, BATCH_DELAY_MS - batchDuration);
-      if (waitTime > 0) {
-        await sleep(waitTime);
+      if (deadline && Date.now() >= deadline) {
+        results[callIndex] = { success: false, skipped: true, error: 'Not started before the deadline', callIndex };
+        continue;
       }
+
+      results[callIndex] = await executeWithRetry(apiCallFactories[callIndex], {
+        syncId,
+        callIndex,
+        totalCalls
+      });
     }
   }
 
+  await Promise.all(
+    Array.from({ length: Math.min(MAX_CONCURRENT_CALLS, totalCalls) }, worker)
+  );
+
+  console.log(`[${syncId}] ${operationType}: Completed in ${Date.now() - startTime}ms`);
+
   // Check for failures
-  const failures = results.filter(r => r.error);
+  const skipped = results.filter(r => r.skipped).length;
+  const failures = results.filter(r => r.error && !r.skipped);
   if (failures.length > 0) {
     console.warn(`[${syncId}] ${failures.length}/${totalCalls} calls failed after retries`);
   }
+  if (skipped > 0) {
+    console.warn(`[${syncId}] ${skipped}/${totalCalls} calls not started before the deadline`);
+  }
 
   return results;
 }
 
 /**
  * Execute a single API call with retry logic
+ * Errors flagged retryable: false (4xx other than 408/429, see ActiveCampaignError) fail at once;
+ * anything else, including network errors, is retried
  * @param {Function} callFactory - Function that returns a promise
  * @param {Object} context - Context for logging
  * @returns {Promise<Object>} Result or error object
@@ -90,6 +150,15 @@ async function executeWithRetry(callFactory, context) {
       return { success: true, data: result };
       
     } catch (error) {
+      if (error.retryable === false) {
+        console.error(`[${syncId}] Call ${callIndex + 1}/${totalCalls}: Failed with a non-retryable error - ${error.message}`);
+        return { 
+          success: false, 
+          error: error.message,
+          callIndex 
+        };
+      }
+
       const isLastAttempt = attempt === MAX_RETRIES;
       
       if (isLastAttempt) {
@@ -101,8 +170,8 @@ async function executeWithRetry(callFactory, context) {
         };
       }
       
-      // Calculate exponential backoff delay
-      const retryDelay = INITIAL_RETRY_DELAY_MS * Math.pow(2, attempt);
+      // Retry-After when the API sent one, otherwise exponential backoff with jitter
+      const retryDelay = getRetryDelay(error, attempt);
       console.warn(`[${syncId}] Call ${callIndex + 1}/${totalCalls}: Attempt ${attempt + 1} failed, retrying in ${retryDelay}ms - ${error.message}`);
       
       await sleep(retryDelay);
@@ -110,6 +179,23 @@ async function executeWithRetry(callFactory, context) {
   }
 }
 
+/**
+ * How long to wait before retrying
+ * Honors the server's Retry-After when there is one; otherwise exponential backoff
+ * with "equal jitter" (half fixed, half random) so parallel callers do not retry in lockstep
+ * @param {Error} error - Failed attempt's error (retryAfterMs is set by the API client)
+ * @param {number} attempt - Zero-based attempt that failed
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(error, attempt) {
+  if (typeof error.retryAfterMs === 'number') {
+    return error.retryAfterMs + Math.floor(Math.random() * RETRY_AFTER_JITTER_MS);
+  }
+
+  const backoff = INITIAL_RETRY_DELAY_MS * Math.pow(2, attempt);
+  return Math.floor(backoff / 2 + Math.random() * (backoff / 2));
+}
+
 /**
  * Sleep utility
  * @param {number} ms - Milliseconds to sleep
@@ -124,30 +210,36 @@ function sleep(ms) {
  * @param {Function} fetchPage - Function that fetches a single page (pageNumber) => Promise<{data, meta}>
  * @param {number} totalPages - Total number of pages to fetch
  * @param {Object} options - Rate limit options
+ * @param {number[]} options.pageNumbers - Pages to fetch instead of 1 through totalPages
+ * @param {Function} options.onPage - (pageNumber, records) => Promise, awaited as part of each page (e.g. to checkpoint it)
+ * @param {number} options.deadline - Epoch ms after which no new page is started
  * @returns {Promise<Array>} All fetched records
  */
 async function fetchAllPages(fetchPage, totalPages, options = {}) {
-  const { syncId = 'unknown', operationType = 'Fetching pages' } = options;
+  const { syncId = 'unknown', operationType = 'Fetching pages', onPage = null, deadline = null } = options;
+  const pageNumbers = options.pageNumbers || Array.from({ length: totalPages }, (_, i) => i + 1);
   
-  console.log(`[${syncId}] ${operationType}: ${totalPages} pages to fetch`);
+  console.log(`[${syncId}] ${operationType}: ${pageNumbers.length} pages to fetch`);
   
   // Create array of page fetchers
-  const pageFactories = Array.from({ length: totalPages }, (_, i) => {
-    const pageNumber = i + 1;
-    return () => fetchPage(pageNumber);
+  const pageFactories = pageNumbers.map(pageNumber => async () => {
+    const records = await fetchPage(pageNumber);
+    if (onPage) await onPage(pageNumber, records);
+    return records;
   });
   
   // Execute with rate limiting
   const results = await executeWithRateLimit(pageFactories, {
     syncId,
-    operationType
+    operationType,
+    deadline
   });
   
   // Combine all successful results
   const successfulResults = results.filter(r => r.success);
   const allRecords = successfulResults.flatMap(r => r.data);
   
-  const failedCount = results.length - successfulResults.length;
+  const failedCount = results.filter(r => !r.success && !r.skipped).length;
   if (failedCount > 0) {
     console.warn(`[${syncId}] ${operationType}: ${failedCount} pages failed to fetch`);
   }
@@ -157,7 +249,78 @@ async function fetchAllPages(fetchPage, totalPages, options = {}) {
   return allRecords;
 }
 
+/**
+ * Fetch cursor-linked pages one after another (keyset pagination)
+ * Each request needs the previous page's cursor, so pages cannot run in parallel; each one
+ * is still retried like any other call. Stops after a short page, at the
+ * deadline, or at a page that failed after retries
+ * @param {Function} fetchPage - (cursor) => Promise<Array> of records
+ * @param {Object} options - Options
+ * @param {*} options.cursor - Cursor to start after
+ * @param {Function} options.getCursor - (records) => cursor following a non-empty page
+ * @param {number} options.pageSize - Records per full page
+ * @param {number} options.firstPageNumber - Number of the first page fetched here (for onPage and logs)
+ * @param {number} options.lastPageNumber - Stop after this page even if more follow (optional)
+ * @param {number} options.totalPages - Expected page count (for logs only)
+ * @param {Function} options.onPage - (pageNumber, records, cursor) => Promise, awaited as part of each page
+ * @param {number} options.deadline - Epoch ms after which no new page is started
+ * @param {string} options.syncId - Sync identifier for logging
+ * @param {string} options.operationType - Description of operation
+ * @returns {Promise<{complete: boolean, nextPageNumber: number, cursor: *, pagesFetched: number}>}
+ *   complete is false when a page failed or the deadline came first; nextPageNumber/cursor say where to continue
+ */
+async function fetchSequentialPages(fetchPage, options = {}) {
+  const {
+    getCursor,
+    pageSize,
+    firstPageNumber = 1,
+    lastPageNumber = null,
+    totalPages = '?',
+    onPage = null,
+    deadline = null,
+    syncId = 'unknown',
+    operationType = 'Fetching pages'
+  } = options;
+
+  let cursor = options.cursor;
+  let pageNumber = firstPageNumber;
+  const startTime = Date.now();
+
+  console.log(`[${syncId}] ${operationType}: page ${firstPageNumber} onwards, one at a time at up to ${RATE_LIMIT_PER_SECOND}/s`);
+
+  for (;;) {
+    if (deadline && Date.now() >= deadline) {
+      console.warn(`[${syncId}] ${operationType}: Stopped at page ${pageNumber}, deadline reached`);
+      return { complete: false, nextPageNumber: pageNumber, cursor, pagesFetched: pageNumber - firstPageNumber };
+    }
+
+    const currentPage = pageNumber;
+    const result = await executeWithRetry(async () => {
+      const records = await fetchPage(cursor);
+      if (onPage) await onPage(currentPage, records, records.length > 0 ? getCursor(records) : cursor);
+      return records;
+    }, { syncId, callIndex: currentPage - 1, totalCalls: totalPages });
+
+    if (!result.success) {
+      console.warn(`[${syncId}] ${operationType}: Stopped at page ${pageNumber}, it failed to fetch`);
+      return { complete: false, nextPageNumber: pageNumber, cursor, pagesFetched: pageNumber - firstPageNumber };
+    }
+
+    const records = result.data;
+    if (records.length > 0) cursor = getCursor(records);
+    pageNumber++;
+
+    if (records.length < pageSize || (lastPageNumber && pageNumber > lastPageNumber)) {
+      console.log(`[${syncId}] ${operationType}: Completed ${pageNumber - firstPageNumber} pages in ${Date.now() - startTime}ms`);
+      return { complete: true, nextPageNumber: pageNumber, cursor, pagesFetched: pageNumber - firstPageNumber };
+    }
+  }
+}
+
 module.exports = {
+  acquireToken,
+  pauseRequests,
   executeWithRateLimit,
-  fetchAllPages
+  fetchAllPages,
+  fetchSequentialPages
 };
\ No newline at end of file
@@ -0,0 +1,281 @@
+// lib/webhooks/outbound.js
+const crypto = require('crypto');
+const {
+  getSubscribedWebhooks,
+  createDeliveries,
+  claimPendingDeliveries,
+  updateDelivery,
+  getDelivery
+} = require('../db/webhooks');
+const { getSyncChanges } = require('../db/change-log');
+
+/**
+ * Outbound webhooks (subscriptions in ac_webhooks, see migrations/012_webhooks.sql)
+ *
+ * Every payload is POSTed as JSON with:
+ *   X-Webhook-Event     - Event name
+ *   X-Webhook-Delivery  - Delivery id in ac_webhook_deliveries (the same on replays)
+ *   X-Webhook-Timestamp - Unix seconds when this attempt was signed
+ *   X-Webhook-Signature - 'sha256=' + hex HMAC-SHA256 of `${timestamp}.${body}` keyed with the webhook secret
+ *
+ * Events are queued as pending deliveries and sent by deliverPending, outside the sync that
+ * queued them. Failed attempts (network errors, timeouts, 408, 429 and 5xx) are retried with
+ * exponential backoff; other responses fail the delivery immediately. Failed deliveries stay in
+ * the log for replay
+ */
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '4');
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000');
+const INITIAL_RETRY_DELAY_MS = 1000;
+const CONCURRENCY = 5;
+// Longest a delivery can take (every attempt timing out, plus backoff), with a minute to spare
+const CLAIM_SECONDS = Math.ceil((MAX_ATTEMPTS * TIMEOUT_MS + INITIAL_RETRY_DELAY_MS * Math.pow(2, MAX_ATTEMPTS)) / 1000) + 60;
+
+const SYNC_EVENTS = {
+  succeeded: 'sync.succeeded',
+  partial: 'sync.partial',
+  failed: 'sync.failed'
+};
+const RECORD_EVENT = 'record.changed';
+
+/**
+ * Queue deliveries telling subscribed webhooks that a sync finished, and of every record it changed
+ * Nothing is sent here (see deliverPending), so a large change set cannot hold up the sync.
+ * Never throws: webhook problems must not fail the sync
+ * @param {string} syncId - Sync identifier
+ * @param {Object} outcome - Sync outcome
+ * @param {string} outcome.status - 'succeeded', 'partial' or 'failed'
+ * @param {number} outcome.statusCode - HTTP status returned by the sync endpoint
+ * @param {number} outcome.durationMs - Sync duration
+ * @param {Object} outcome.results - Per-entity results (absent for critical failures)
+ * @param {string} outcome.error - Error message (critical failures only)
+ */
+async function notifySyncCompleted(syncId, outcome) {
+  try {
+    const event = SYNC_EVENTS[outcome.status];
+    const webhooks = await getSubscribedWebhooks(event);
+
+    const payload = {
+      event,
+      syncId,
+      timestamp: new Date().toISOString(),
+      statusCode: outcome.statusCode,
+      durationMs: outcome.durationMs,
+      entities: outcome.results || null,
+      error: outcome.error || null
+    };
+
+    for (const webhook of webhooks) {
+      await enqueue(webhook, event, syncId, [payload]);
+    }
+
+    if (outcome.status !== 'failed') {
+      await notifyRecordChanges(syncId);
+    }
+  } catch (error) {
+    console.error(`[${syncId}] Failed to queue webhooks:`, error);
+  }
+}
+
+/**
+ * Queue record.changed deliveries for a record patched between syncs by the inbound webhook
+ * receiver (pages/api/webhooks/activecampaign.js), like the changes a sync detects
+ * Never throws: the patch is already stored
+ * @param {string} syncId - Identifier of the patch (the sync_id of its ac_change_log rows)
+ */
+async function notifyRecordPatched(syncId) {
+  try {
+    await notifyRecordChanges(syncId);
+  } catch (error) {
+    console.error(`[${syncId}] Failed to queue webhooks:`, error);
+  }
+}
+
+/**
+ * Queue one record.changed delivery per change the sync logged to ac_change_log
+ * @param {string} syncId - Sync identifier
+ */
+async function notifyRecordChanges(syncId) {
+  const webhooks = await getSubscribedWebhooks(RECORD_EVENT);
+  if (webhooks.length === 0) return;
+
+  const changes = await getSyncChanges(syncId);
+  if (changes.length === 0) return;
+
+  for (const webhook of webhooks) {
+    const payloads = changes
+      .filter(change => !webhook.data_types || webhook.data_types.includes(change.data_type))
+      .map(change => ({
+        event: RECORD_EVENT,
+        syncId,
+        type: change.data_type,
+        changeId: String(change.id),
+        recordId: String(change.record_id),
+        changeType: change.change_type,
+        changedFields: change.changed_fields,
+        changes: change.changes,
+        detectedAt: change.detected_at
+      }));
+
+    if (payloads.length > 0) {
+      await enqueue(webhook, RECORD_EVENT, syncId, payloads);
+    }
+  }
+}
+
+/**
+ * Log pending deliveries to one webhook
+ * @param {Object} webhook - ac_webhooks row
+ * @param {string} event - Event name
+ * @param {string} syncId - Sync identifier
+ * @param {Array<Object>} payloads - One payload per delivery
+ */
+async function enqueue(webhook, event, syncId, payloads) {
+  const deliveries = await createDeliveries(webhook.id, event, syncId, payloads);
+  console.log(`[${syncId}] Webhook ${webhook.id} ${event}: ${deliveries.length} queued`);
+}
+
+/**
+ * Send pending deliveries, oldest first, a few at a time
+ * Stops when none are left, after options.limit deliveries, or once options.deadline has
+ * passed (a delivery already being sent still finishes, which can take CLAIM_SECONDS)
+ * @param {Object} options - Options
+ * @param {number} options.limit - Send at most this many deliveries (default: all)
+ * @param {number} options.deadline - Epoch ms after which no new delivery is started
+ * @returns {Promise<{delivered: number, failed: number, more: boolean}>} more when deliveries
+ *   may still be pending because the limit or deadline stopped the drain
+ */
+async function deliverPending(options = {}) {
+  const { limit = Infinity, deadline = null } = options;
+  let delivered = 0;
+  let failed = 0;
+
+  for (;;) {
+    const remaining = limit - delivered - failed;
+    if (remaining <= 0 || (deadline && Date.now() >= deadline)) {
+      return { delivered, failed, more: true };
+    }
+
+    const deliveries = await claimPendingDeliveries(Math.min(CONCURRENCY, remaining), CLAIM_SECONDS);
+    if (deliveries.length === 0) {
+      return { delivered, failed, more: false };
+    }
+
+    const outcomes = await Promise.all(deliveries.map(delivery =>
+      deliver(delivery, delivery.id, delivery.event, delivery.payload)
+    ));
+
+    outcomes.forEach(outcome => {
+      if (outcome.delivered) delivered++;
+      else failed++;
+    });
+
+    console.log(`Webhook deliveries ${deliveries[0].id}-${deliveries[deliveries.length - 1].id}: ${delivered} delivered, ${failed} failed so far`);
+  }
+}
+
+/**
+ * Re-send a logged delivery with its original payload
+ * @param {number} id - Delivery id
+ * @returns {Promise<Object|null>} Outcome ({ id, delivered, attempts, responseStatus, error }), or null if unknown
+ * @throws {Error} If the webhook has been deactivated
+ */
+async function replayDelivery(id) {
+  const delivery = await getDelivery(id);
+  if (!delivery) return null;
+
+  if (!delivery.active) {
+    throw new Error(`Webhook ${delivery.webhook_id} is inactive`);
+  }
+
+  const outcome = await deliver(delivery, delivery.id, delivery.event, delivery.payload);
+  return { id: String(delivery.id), ...outcome };
+}
+
+/**
+ * Send a payload, retrying with backoff, and record the outcome
+ * @param {Object} webhook - Object with url and secret
+ * @param {number} deliveryId - Delivery id
+ * @param {string} event - Event name
+ * @param {Object} payload - Payload
+ * @returns {Promise<Object>} { delivered, attempts, responseStatus, error }
+ */
+async function deliver(webhook, deliveryId, event, payload) {
+  const body = JSON.stringify(payload);
+  let attempts = 0;
+  let responseStatus = null;
+  let error = null;
+  let delivered = false;
+
+  while (attempts < MAX_ATTEMPTS) {
+    if (attempts > 0) {
+      await sleep(INITIAL_RETRY_DELAY_MS * Math.pow(2, attempts - 1));
+    }
+    attempts++;
+
+    const timestamp = Math.floor(Date.now() / 1000);
+    let retryable = true;
+
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Webhook-Event': event,
+          'X-Webhook-Delivery': String(deliveryId),
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`
+        },
+        body,
+        signal: AbortSignal.timeout(TIMEOUT_MS)
+      });
+
+      responseStatus = response.status;
+
+      if (response.ok) {
+        delivered = true;
+        error = null;
+        break;
+      }
+
+      error = `HTTP ${response.status}`;
+      retryable = response.status === 408 || response.status === 429 || response.status >= 500;
+    } catch (requestError) {
+      responseStatus = null;
+      error = requestError.name === 'TimeoutError'
+        ? `Timed out after ${TIMEOUT_MS}ms`
+        : requestError.message;
+    }
+
+    if (!retryable) break;
+  }
+
+  await updateDelivery(deliveryId, { delivered, attempts, responseStatus, error });
+
+  return { delivered, attempts, responseStatus, error };
+}
+
+/**
+ * Sign a payload the way receivers should verify it
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Unix seconds sent in X-Webhook-Timestamp
+ * @param {string} body - Raw request body
+ * @returns {string} Hex HMAC-SHA256 of `${timestamp}.${body}`
+ */
+function signPayload(secret, timestamp, body) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  notifySyncCompleted,
+  notifyRecordPatched,
+  deliverPending,
+  replayDelivery
+};
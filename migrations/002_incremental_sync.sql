@@ -0,0 +1,15 @@
+-- Incremental Sync State
+-- Run after 001_create_tables.sql
+
+-- One row per synced entity, holding the high-water mark for incremental runs
+CREATE TABLE IF NOT EXISTS ac_sync_state (
+  entity VARCHAR(50) PRIMARY KEY, -- 'contacts' or 'deals'
+  watermark VARCHAR(50), -- Highest updated timestamp seen, in ActiveCampaign's format
+  last_sync_id VARCHAR(100),
+  last_sync_mode VARCHAR(20), -- 'full' or 'incremental'
+  last_sync_at TIMESTAMP,
+  last_full_sync_at TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+COMMENT ON TABLE ac_sync_state IS 'Per-entity watermarks used to fetch only records changed since the last successful sync';
@@ -0,0 +1,8 @@
+-- Per-run Sync Mode and Watermarks
+-- Run after 002_incremental_sync.sql
+
+-- Record which mode each entity ran in and the watermark it advanced to
+ALTER TABLE ac_sync_logs ADD COLUMN IF NOT EXISTS contacts_sync_mode VARCHAR(20);
+ALTER TABLE ac_sync_logs ADD COLUMN IF NOT EXISTS contacts_watermark VARCHAR(50);
+ALTER TABLE ac_sync_logs ADD COLUMN IF NOT EXISTS deals_sync_mode VARCHAR(20);
+ALTER TABLE ac_sync_logs ADD COLUMN IF NOT EXISTS deals_watermark VARCHAR(50);
@@ -0,0 +1,9 @@
+-- Hard-delete Detection
+-- Run after 003_sync_log_watermarks.sql
+
+-- When each entity last compared its stored ids against ActiveCampaign
+ALTER TABLE ac_sync_state ADD COLUMN IF NOT EXISTS last_reconciled_at TIMESTAMP;
+
+-- Number of records found deleted in ActiveCampaign during each run
+ALTER TABLE ac_sync_logs ADD COLUMN IF NOT EXISTS contacts_deleted INTEGER DEFAULT 0;
+ALTER TABLE ac_sync_logs ADD COLUMN IF NOT EXISTS deals_deleted INTEGER DEFAULT 0;
@@ -0,0 +1,97 @@
+-- Normalized Relational Tables
+-- Run after 004_deletion_reconciliation.sql
+-- Only used when STORAGE_BACKEND=relational; blob deployments can skip this migration
+
+CREATE TABLE IF NOT EXISTS ac_pipelines (
+  id BIGINT PRIMARY KEY,
+  title TEXT,
+  currency VARCHAR(10),
+  data JSONB NOT NULL,
+  synced_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS ac_stages (
+  id BIGINT PRIMARY KEY,
+  pipeline_id BIGINT,
+  title TEXT,
+  stage_order INTEGER,
+  data JSONB NOT NULL,
+  synced_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS ac_users (
+  id BIGINT PRIMARY KEY,
+  username TEXT,
+  first_name TEXT,
+  last_name TEXT,
+  email TEXT,
+  data JSONB NOT NULL,
+  synced_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS ac_contacts (
+  id BIGINT PRIMARY KEY,
+  email TEXT,
+  first_name TEXT,
+  last_name TEXT,
+  phone TEXT,
+  cdate TIMESTAMPTZ,
+  udate TIMESTAMPTZ,
+  deleted BOOLEAN NOT NULL DEFAULT FALSE,
+  deleted_at TIMESTAMPTZ,
+  data JSONB NOT NULL, -- Full enriched contact as returned by the API
+  sync_id VARCHAR(100),
+  synced_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ac_contacts_email ON ac_contacts(LOWER(email));
+CREATE INDEX IF NOT EXISTS idx_ac_contacts_udate ON ac_contacts(udate DESC);
+
+CREATE TABLE IF NOT EXISTS ac_deals (
+  id BIGINT PRIMARY KEY,
+  title TEXT,
+  contact_id BIGINT,
+  pipeline_id BIGINT,
+  stage_id BIGINT,
+  owner_id BIGINT,
+  status INTEGER,
+  value NUMERIC, -- In cents, as returned by the API
+  currency VARCHAR(10),
+  cdate TIMESTAMPTZ,
+  mdate TIMESTAMPTZ,
+  deleted BOOLEAN NOT NULL DEFAULT FALSE,
+  deleted_at TIMESTAMPTZ,
+  data JSONB NOT NULL, -- Full enriched deal as returned by the API
+  sync_id VARCHAR(100),
+  synced_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ac_deals_contact ON ac_deals(contact_id);
+CREATE INDEX IF NOT EXISTS idx_ac_deals_pipeline_stage ON ac_deals(pipeline_id, stage_id);
+CREATE INDEX IF NOT EXISTS idx_ac_deals_owner ON ac_deals(owner_id);
+
+CREATE TABLE IF NOT EXISTS ac_contact_field_values (
+  contact_id BIGINT NOT NULL REFERENCES ac_contacts(id) ON DELETE CASCADE,
+  field_id BIGINT NOT NULL,
+  field_key TEXT, -- Personalization tag, e.g. 'LEAD_SOURCE'
+  field_title TEXT,
+  value TEXT,
+  PRIMARY KEY (contact_id, field_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ac_contact_field_values_key ON ac_contact_field_values(field_key, value);
+
+CREATE TABLE IF NOT EXISTS ac_deal_field_values (
+  deal_id BIGINT NOT NULL REFERENCES ac_deals(id) ON DELETE CASCADE,
+  field_id BIGINT NOT NULL,
+  field_label TEXT,
+  value TEXT,
+  PRIMARY KEY (deal_id, field_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ac_deal_field_values_label ON ac_deal_field_values(field_label, value);
+
+COMMENT ON TABLE ac_contacts IS 'ActiveCampaign contacts, one row per contact (STORAGE_BACKEND=relational)';
+COMMENT ON TABLE ac_deals IS 'ActiveCampaign deals, one row per deal (STORAGE_BACKEND=relational)';
+COMMENT ON TABLE ac_contact_field_values IS 'Contact custom field values, one row per contact and field';
+COMMENT ON TABLE ac_deal_field_values IS 'Deal custom field values, one row per deal and field';
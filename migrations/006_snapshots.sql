@@ -0,0 +1,51 @@
+-- Atomic Snapshot Swap
+-- Run after 005_relational_tables.sql
+
+-- Each blob sync writes its batches under a new snapshot (generation) that only
+-- becomes visible to readers once every batch is stored
+CREATE TABLE IF NOT EXISTS ac_snapshots (
+  id SERIAL PRIMARY KEY,
+  data_type VARCHAR(50) NOT NULL, -- 'contacts' or 'deals'
+  sync_id VARCHAR(100),
+  status VARCHAR(20) NOT NULL DEFAULT 'pending', -- 'pending', 'active' or 'superseded'
+  record_count INTEGER,
+  batch_count INTEGER,
+  sync_duration_ms INTEGER,
+  created_at TIMESTAMP DEFAULT NOW(),
+  activated_at TIMESTAMP,
+  superseded_at TIMESTAMP
+);
+
+-- At most one active snapshot per data type
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ac_snapshots_active ON ac_snapshots(data_type) WHERE status = 'active';
+
+CREATE INDEX IF NOT EXISTS idx_ac_snapshots_type_status ON ac_snapshots(data_type, status);
+
+ALTER TABLE ac_sync_data ADD COLUMN IF NOT EXISTS snapshot_id INTEGER REFERENCES ac_snapshots(id) ON DELETE CASCADE;
+ALTER TABLE ac_sync_data ADD COLUMN IF NOT EXISTS batch_index INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_ac_sync_data_snapshot ON ac_sync_data(snapshot_id, batch_index);
+
+-- Adopt batches written before snapshots existed as the active snapshot of their type
+INSERT INTO ac_snapshots (data_type, sync_id, status, record_count, batch_count, created_at, activated_at)
+SELECT data_type, 'legacy', 'active', SUM(record_count), COUNT(*), MAX(synced_at), MAX(synced_at)
+FROM ac_sync_data
+WHERE snapshot_id IS NULL
+GROUP BY data_type
+ON CONFLICT DO NOTHING;
+
+UPDATE ac_sync_data d
+SET snapshot_id = s.id,
+    batch_index = n.batch_index
+FROM ac_snapshots s,
+  (
+    SELECT id, ROW_NUMBER() OVER (PARTITION BY data_type ORDER BY id) - 1 AS batch_index
+    FROM ac_sync_data
+    WHERE snapshot_id IS NULL
+  ) n
+WHERE d.id = n.id
+  AND s.data_type = d.data_type
+  AND s.status = 'active'
+  AND s.sync_id = 'legacy';
+
+COMMENT ON TABLE ac_snapshots IS 'Generations of blob data; readers only see the active snapshot per data type';
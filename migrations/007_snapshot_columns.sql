@@ -0,0 +1,6 @@
+-- Snapshot Column Lists
+-- Run after 006_snapshots.sql
+
+-- Flattened column names of every record in the snapshot (see lib/utils/csv.js),
+-- so CSV exports can write their header without a first pass over the data
+ALTER TABLE ac_snapshots ADD COLUMN IF NOT EXISTS columns JSONB;
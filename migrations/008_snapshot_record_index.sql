@@ -0,0 +1,22 @@
+-- Snapshot Record Index
+-- Run after 007_snapshot_columns.sql
+
+-- Where each record of a blob snapshot lives, so single-record lookups only
+-- decompress the batch that holds the record
+CREATE TABLE IF NOT EXISTS ac_snapshot_records (
+  snapshot_id INTEGER NOT NULL REFERENCES ac_snapshots(id) ON DELETE CASCADE,
+  record_id BIGINT NOT NULL,
+  email TEXT, -- Lowercased, contacts only
+  contact_id BIGINT, -- Deals only
+  batch_index INTEGER NOT NULL,
+  position INTEGER NOT NULL, -- Index of the record within its batch
+  PRIMARY KEY (snapshot_id, record_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ac_snapshot_records_email ON ac_snapshot_records(snapshot_id, email);
+CREATE INDEX IF NOT EXISTS idx_ac_snapshot_records_contact ON ac_snapshot_records(snapshot_id, contact_id);
+
+-- Snapshots written before this migration have no index rows; lookups fall back to a full scan
+ALTER TABLE ac_snapshots ADD COLUMN IF NOT EXISTS indexed BOOLEAN NOT NULL DEFAULT FALSE;
+
+COMMENT ON TABLE ac_snapshot_records IS 'Record id/email/contact to batch position index for blob snapshots';
@@ -0,0 +1,6 @@
+-- Per-entity Sync Results
+-- Run after 008_snapshot_record_index.sql
+
+-- Result of every registered entity in a run, keyed by entity name
+-- (the contacts_* / deals_* columns are still filled for existing dashboards)
+ALTER TABLE ac_sync_logs ADD COLUMN IF NOT EXISTS entity_results JSONB;
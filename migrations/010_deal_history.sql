@@ -0,0 +1,30 @@
+-- Deal Stage-change History
+-- Run after 009_sync_log_entity_results.sql
+
+-- One row per change of a deal's stage, status, value or owner detected between consecutive syncs.
+-- Pipeline/stage columns describe the deal after the change. A deal's first row is a 'stage'
+-- row with no old_value; changed_at is its creation date, or NULL for deals that already
+-- existed when history tracking started
+CREATE TABLE IF NOT EXISTS ac_deal_history (
+  id BIGSERIAL PRIMARY KEY,
+  deal_id BIGINT NOT NULL,
+  field VARCHAR(20) NOT NULL, -- 'stage', 'status', 'value' or 'owner'
+  old_value TEXT,
+  new_value TEXT,
+  old_label TEXT, -- Stage title, status name or owner username
+  new_label TEXT,
+  pipeline_id BIGINT,
+  pipeline_title TEXT,
+  stage_id BIGINT,
+  stage_title TEXT,
+  stage_order INTEGER,
+  deal_created_at TIMESTAMPTZ,
+  changed_at TIMESTAMPTZ, -- The deal's mdate after the change
+  detected_at TIMESTAMP DEFAULT NOW(),
+  sync_id VARCHAR(100)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ac_deal_history_deal ON ac_deal_history(deal_id, id);
+CREATE INDEX IF NOT EXISTS idx_ac_deal_history_pipeline ON ac_deal_history(pipeline_id, field, changed_at);
+
+COMMENT ON TABLE ac_deal_history IS 'Deal stage/status/value/owner transitions detected between syncs';
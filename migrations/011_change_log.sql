@@ -0,0 +1,21 @@
+-- Record-level Change Log
+-- Run after 010_deal_history.sql
+
+-- One row per contact or deal created, updated or deleted between consecutive syncs.
+-- changes holds { field: { old, new } } for the top-level fields that differ (NULL for
+-- created records, and for deleted records in DELETION_MODE=remove)
+CREATE TABLE IF NOT EXISTS ac_change_log (
+  id BIGSERIAL PRIMARY KEY,
+  data_type VARCHAR(50) NOT NULL,
+  record_id BIGINT NOT NULL,
+  change_type VARCHAR(10) NOT NULL, -- 'created', 'updated' or 'deleted'
+  changed_fields TEXT[] NOT NULL DEFAULT '{}',
+  changes JSONB,
+  detected_at TIMESTAMPTZ DEFAULT NOW(),
+  sync_id VARCHAR(100)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ac_change_log_type_detected ON ac_change_log(data_type, detected_at, id);
+CREATE INDEX IF NOT EXISTS idx_ac_change_log_record ON ac_change_log(data_type, record_id, id);
+
+COMMENT ON TABLE ac_change_log IS 'Per-record changes between consecutive contact and deal syncs';
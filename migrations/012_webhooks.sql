@@ -0,0 +1,38 @@
+-- Outbound Webhooks
+-- Run after 011_change_log.sql
+
+-- Webhook subscriptions. events is any of 'sync.succeeded', 'sync.partial', 'sync.failed'
+-- and 'record.changed' (one delivery per ac_change_log row); data_types limits record.changed
+-- to some types (NULL for all). Payloads are signed with secret (see README)
+CREATE TABLE IF NOT EXISTS ac_webhooks (
+  id SERIAL PRIMARY KEY,
+  url TEXT NOT NULL,
+  secret TEXT NOT NULL,
+  events TEXT[] NOT NULL DEFAULT ARRAY['sync.succeeded', 'sync.partial', 'sync.failed'],
+  data_types TEXT[],
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  description TEXT,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- One row per event sent to a webhook, kept for inspection and replay
+CREATE TABLE IF NOT EXISTS ac_webhook_deliveries (
+  id BIGSERIAL PRIMARY KEY,
+  webhook_id INTEGER NOT NULL REFERENCES ac_webhooks(id) ON DELETE CASCADE,
+  event VARCHAR(50) NOT NULL,
+  sync_id VARCHAR(100),
+  payload JSONB NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending', -- 'pending', 'delivered' or 'failed'
+  attempts INTEGER NOT NULL DEFAULT 0,
+  response_status INTEGER,
+  last_error TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  last_attempt_at TIMESTAMP,
+  delivered_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_ac_webhook_deliveries_status ON ac_webhook_deliveries(status, id);
+CREATE INDEX IF NOT EXISTS idx_ac_webhook_deliveries_webhook ON ac_webhook_deliveries(webhook_id, id);
+
+COMMENT ON TABLE ac_webhooks IS 'Outbound webhook subscriptions for sync and record change events';
+COMMENT ON TABLE ac_webhook_deliveries IS 'Outbound webhook delivery log';
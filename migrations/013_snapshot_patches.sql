@@ -0,0 +1,7 @@
+-- Single-record Snapshot Patches
+-- Run after 012_webhooks.sql
+
+-- Whether a snapshot was written by a sync or by patching one record into the previous
+-- snapshot (/api/webhooks/activecampaign). Superseded patch snapshots are only kept for the
+-- reader grace period, not SNAPSHOT_RETENTION_DAYS
+ALTER TABLE ac_snapshots ADD COLUMN IF NOT EXISTS kind VARCHAR(10) NOT NULL DEFAULT 'sync';
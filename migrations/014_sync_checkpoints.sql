@@ -0,0 +1,29 @@
+-- Resumable Sync Checkpoints
+-- Run after 013_snapshot_patches.sql
+
+-- One row per entity whose page fetch is in progress or was interrupted (timeout, crash,
+-- SYNC_TIME_BUDGET_SECONDS). params keeps the exact filters of the interrupted fetch (including
+-- the incremental watermark) so a resumed run asks for the same pages. Deleted once the
+-- fetched records are stored
+CREATE TABLE IF NOT EXISTS ac_sync_checkpoints (
+  entity VARCHAR(50) PRIMARY KEY,
+  sync_id VARCHAR(100) NOT NULL, -- Run that started the fetch
+  sync_mode VARCHAR(20) NOT NULL, -- 'full' or 'incremental'
+  params JSONB NOT NULL DEFAULT '{}',
+  total_records INTEGER NOT NULL,
+  total_pages INTEGER NOT NULL,
+  started_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Pages fetched so far, gzipped JSON arrays of raw (unenriched) records
+CREATE TABLE IF NOT EXISTS ac_sync_checkpoint_pages (
+  entity VARCHAR(50) NOT NULL REFERENCES ac_sync_checkpoints(entity) ON DELETE CASCADE,
+  page_number INTEGER NOT NULL,
+  records BYTEA NOT NULL,
+  record_count INTEGER NOT NULL,
+  fetched_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (entity, page_number)
+);
+
+COMMENT ON TABLE ac_sync_checkpoints IS 'Page fetches to resume after an interrupted sync';
@@ -0,0 +1,10 @@
+-- Sync Run Status
+-- Run after 014_sync_checkpoints.sql
+
+-- 'success' (every entity synced), 'partial' (some did, or a fetch came back incomplete and the
+-- stored data was kept) or 'failed'. missing_pages lists, per entity, the pages still missing
+-- after the second fetch pass, e.g. { "contacts": [17, 240] }
+ALTER TABLE ac_sync_logs ADD COLUMN IF NOT EXISTS status VARCHAR(20);
+ALTER TABLE ac_sync_logs ADD COLUMN IF NOT EXISTS missing_pages JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_ac_sync_logs_status ON ac_sync_logs(status, timestamp DESC);
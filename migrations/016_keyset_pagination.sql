@@ -0,0 +1,7 @@
+-- Keyset Pagination Checkpoints
+-- Run after 015_sync_log_status.sql
+
+-- How a checkpointed fetch pages through its endpoint: 'offset' (limit/offset) or 'keyset'
+-- (orders[id]=ASC with an id filter). Keyset fetches resume after cursor, the highest id staged
+ALTER TABLE ac_sync_checkpoints ADD COLUMN IF NOT EXISTS pagination VARCHAR(10) NOT NULL DEFAULT 'offset';
+ALTER TABLE ac_sync_checkpoints ADD COLUMN IF NOT EXISTS cursor VARCHAR(100);
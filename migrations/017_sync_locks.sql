@@ -0,0 +1,15 @@
+-- Sync Locks
+-- Run after 016_keyset_pagination.sql
+
+-- Lease per entity held by the sync run currently syncing it. A lease table rather than
+-- pg_advisory_lock: the serverless driver runs every query over HTTP, so there is no session
+-- to hold an advisory lock across a run. Runs renew their leases while they work; a crashed
+-- run's lease simply expires and the next run takes it over
+CREATE TABLE IF NOT EXISTS ac_sync_locks (
+  entity VARCHAR(50) PRIMARY KEY,
+  sync_id VARCHAR(100) NOT NULL,
+  acquired_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+COMMENT ON TABLE ac_sync_locks IS 'Per-entity leases preventing overlapping sync runs';
@@ -0,0 +1,7 @@
+-- Sync Run Options
+-- Run after 017_sync_locks.sql
+
+-- Options a run was started with (?entities=, ?full=, ?reconcile=, ?dryRun=, ?maxPages= or the
+-- matching scripts/sync-standalone.js flags), e.g.
+-- { "entities": ["contacts"], "forceFull": true, "forceReconcile": false, "dryRun": false, "maxPages": null }
+ALTER TABLE ac_sync_logs ADD COLUMN IF NOT EXISTS options JSONB;
@@ -0,0 +1,7 @@
+-- Entity Refresh Schedule
+-- Run after 018_sync_log_options.sql
+
+-- When each entity last stored its data (incremental runs without changes leave it alone).
+-- Entities that read another entity's stored data only re-derive their whole dataset after it
+-- changed, and entities with a refresh interval (refreshHours) are scheduled from last_sync_at
+ALTER TABLE ac_sync_state ADD COLUMN IF NOT EXISTS last_stored_at TIMESTAMP;
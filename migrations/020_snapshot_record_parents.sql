@@ -0,0 +1,13 @@
+-- Snapshot Record Parents
+-- Run after 019_sync_state_stored_at.sql
+
+-- The record each membership/activity record belongs to (the entity's parent field, see
+-- lib/sync/registry.js), so patching one contact or deal only reads its own memberships
+ALTER TABLE ac_snapshot_records ADD COLUMN IF NOT EXISTS parent_id BIGINT;
+
+CREATE INDEX IF NOT EXISTS idx_ac_snapshot_records_parent ON ac_snapshot_records(snapshot_id, parent_id);
+
+-- Existing snapshots of those entities have no parent ids; lookups scan them until the entity next stores
+UPDATE ac_snapshots
+SET indexed = FALSE
+WHERE data_type IN ('contactTags', 'contactLists', 'accountContacts', 'contactAutomations', 'dealActivities', 'notes', 'dealTasks');
@@ -0,0 +1,39 @@
+-- Dry Run Status
+-- Run after 020_snapshot_record_parents.sql
+
+-- Dry runs write nothing, so they are logged with status 'dry_run' and left out of the latest
+-- sync and the statistics; earlier dry runs were logged like real ones
+UPDATE ac_sync_logs
+SET status = 'dry_run'
+WHERE (options->>'dryRun')::boolean;
+
+CREATE OR REPLACE VIEW ac_latest_sync AS
+SELECT 
+  sync_id,
+  timestamp,
+  total_duration_ms,
+  ROUND(total_duration_ms::numeric / 1000, 2) as duration_seconds,
+  ROUND(total_duration_ms::numeric / 60000, 2) as duration_minutes,
+  contacts_success,
+  contacts_count,
+  contacts_error,
+  deals_success,
+  deals_count,
+  deals_error,
+  overall_success
+FROM ac_sync_logs
+WHERE status IS DISTINCT FROM 'dry_run'
+ORDER BY timestamp DESC
+LIMIT 1;
+
+CREATE OR REPLACE VIEW ac_sync_statistics AS
+SELECT 
+  COUNT(*) as total_syncs,
+  SUM(CASE WHEN overall_success THEN 1 ELSE 0 END) as successful_syncs,
+  ROUND(AVG(total_duration_ms)::numeric / 1000, 2) as avg_duration_seconds,
+  MAX(timestamp) as last_sync_time,
+  ROUND(AVG(contacts_count)::numeric, 0) as avg_contacts_count,
+  ROUND(AVG(deals_count)::numeric, 0) as avg_deals_count
+FROM ac_sync_logs
+WHERE timestamp > NOW() - INTERVAL '7 days'
+AND status IS DISTINCT FROM 'dry_run';
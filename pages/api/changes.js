@@ -0,0 +1,82 @@
+// pages/api/changes.js
+const { getChanges } = require('../../lib/db/change-log');
+
+const CHANGE_LOG_TYPES = ['contacts', 'deals'];
+const MAX_LIMIT = 1000;
+
+/**
+ * Tail the record-level change log (ac_change_log)
+ * GET /api/changes?type=contacts&since=2024-06-01T00:00:00Z          (changes since a time)
+ * GET /api/changes?type=deals&after=<nextAfter from the previous page> (resume where the last page ended)
+ * GET /api/changes?type=contacts&recordId=123                        (history of one record)
+ *
+ * Changes are returned oldest first. Keep the last nextAfter to poll for new changes:
+ * ids only grow, while many changes share a detected_at
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { type, since, after, recordId, limit = 100 } = req.query;
+
+  if (!type || !CHANGE_LOG_TYPES.includes(type)) {
+    return res.status(400).json({ 
+      error: `Invalid type parameter. Must be one of: ${CHANGE_LOG_TYPES.join(', ')}` 
+    });
+  }
+
+  if (since !== undefined && Number.isNaN(Date.parse(since))) {
+    return res.status(400).json({ error: 'Invalid since parameter. Must be an ISO 8601 date or timestamp' });
+  }
+
+  if (after !== undefined && !/^\d+$/.test(after)) {
+    return res.status(400).json({ error: 'Invalid after parameter. Must be a change id' });
+  }
+
+  if (recordId !== undefined && !/^\d+$/.test(recordId)) {
+    return res.status(400).json({ error: 'Invalid recordId parameter. Must be a record id' });
+  }
+
+  const pageLimit = parseInt(limit);
+  if (!Number.isInteger(pageLimit) || pageLimit < 1 || pageLimit > MAX_LIMIT) {
+    return res.status(400).json({ error: `Invalid limit parameter. Must be between 1 and ${MAX_LIMIT}` });
+  }
+
+  try {
+    // Fetch one extra row to know whether another page follows
+    const rows = await getChanges(type, {
+      since: since !== undefined ? new Date(since).toISOString() : null,
+      after: after !== undefined ? after : null,
+      recordId: recordId !== undefined ? recordId : null,
+      limit: pageLimit + 1
+    });
+
+    const hasMore = rows.length > pageLimit;
+    const page = rows.slice(0, pageLimit);
+    const lastId = page.length > 0 ? String(page[page.length - 1].id) : (after !== undefined ? after : null);
+
+    return res.status(200).json({
+      type,
+      count: page.length,
+      hasMore,
+      nextAfter: lastId,
+      data: page.map(row => ({
+        id: String(row.id),
+        recordId: String(row.record_id),
+        changeType: row.change_type,
+        changedFields: row.changed_fields,
+        changes: row.changes,
+        detectedAt: row.detected_at,
+        syncId: row.sync_id
+      }))
+    });
+
+  } catch (error) {
+    console.error('Failed to read change log:', error);
+    return res.status(500).json({ 
+      error: 'Failed to read change log',
+      message: error.message
+    });
+  }
+}
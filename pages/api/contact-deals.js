@@ -0,0 +1,76 @@
+// pages/api/contact-deals.js
+const { usesRelationalStorage, findRecords } = require('../../lib/db/storage');
+const { getPointInTimeError } = require('../../lib/query/point-in-time');
+
+/**
+ * List the synced deals of a contact (matched on the deal's contact field)
+ * GET /api/contact-deals?contactId=123
+ * GET /api/contact-deals?email=jane@example.com  (resolves the contact first)
+ *
+ * Served from the record index, so only the batches holding those deals are decompressed
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { contactId, email, snapshot, asOf } = req.query;
+
+  if ((contactId === undefined) === (email === undefined)) {
+    return res.status(400).json({ 
+      error: 'Provide either contactId or email' 
+    });
+  }
+
+  if (contactId !== undefined && !/^\d+$/.test(contactId)) {
+    return res.status(400).json({ 
+      error: 'Invalid contactId parameter. Must be an ActiveCampaign contact id' 
+    });
+  }
+
+  const pointInTimeError = getPointInTimeError(req.query);
+  if (pointInTimeError) {
+    return res.status(400).json({ error: pointInTimeError });
+  }
+
+  if (usesRelationalStorage('deals') && (snapshot !== undefined || asOf !== undefined)) {
+    return res.status(400).json({ 
+      error: 'Point-in-time reads are only supported with STORAGE_BACKEND=blob' 
+    });
+  }
+
+  try {
+    let resolvedContactId = contactId;
+
+    if (email !== undefined) {
+      const { records: contacts } = await findRecords('contacts', { email }, { snapshot, asOf });
+
+      if (contacts.length === 0) {
+        return res.status(404).json({ 
+          error: 'Contact not found',
+          message: `No contact with email ${email}`
+        });
+      }
+
+      resolvedContactId = String(contacts[0].id);
+    }
+
+    const { records, snapshot: snapshotRow } = await findRecords('deals', { contactId: resolvedContactId }, { snapshot, asOf });
+
+    return res.status(200).json({
+      type: 'deals',
+      contactId: resolvedContactId,
+      snapshotId: snapshotRow ? snapshotRow.id : null,
+      syncedAt: snapshotRow ? snapshotRow.activated_at : null,
+      totalRecords: records.length,
+      data: records
+    });
+
+  } catch (error) {
+    console.error('Failed to look up contact deals:', error);
+    return res.status(500).json({ 
+      error: 'Failed to retrieve contact deals',
+      message: error.message
+    });
+  }
+}
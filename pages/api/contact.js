@@ -0,0 +1,68 @@
+// pages/api/contact.js
+const { usesRelationalStorage, findRecords } = require('../../lib/db/storage');
+const { getPointInTimeError } = require('../../lib/query/point-in-time');
+
+/**
+ * Look up a single synced contact
+ * GET /api/contact?id=123
+ * GET /api/contact?email=jane@example.com
+ * GET /api/contact?id=123&asOf=2024-01-15T09:00:00Z  (as it was at that time)
+ *
+ * Served from the record index, so only the batch holding the contact is decompressed
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { id, email, snapshot, asOf } = req.query;
+
+  if ((id === undefined) === (email === undefined)) {
+    return res.status(400).json({ 
+      error: 'Provide either id or email' 
+    });
+  }
+
+  if (id !== undefined && !/^\d+$/.test(id)) {
+    return res.status(400).json({ 
+      error: 'Invalid id parameter. Must be an ActiveCampaign contact id' 
+    });
+  }
+
+  const pointInTimeError = getPointInTimeError(req.query);
+  if (pointInTimeError) {
+    return res.status(400).json({ error: pointInTimeError });
+  }
+
+  if (usesRelationalStorage('contacts') && (snapshot !== undefined || asOf !== undefined)) {
+    return res.status(400).json({ 
+      error: 'Point-in-time reads are only supported with STORAGE_BACKEND=blob' 
+    });
+  }
+
+  try {
+    const criteria = id !== undefined ? { id } : { email };
+    const { records, snapshot: snapshotRow } = await findRecords('contacts', criteria, { snapshot, asOf });
+
+    if (records.length === 0) {
+      return res.status(404).json({ 
+        error: 'Contact not found',
+        message: id !== undefined ? `No contact with id ${id}` : `No contact with email ${email}`
+      });
+    }
+
+    return res.status(200).json({
+      type: 'contacts',
+      snapshotId: snapshotRow ? snapshotRow.id : null,
+      syncedAt: snapshotRow ? snapshotRow.activated_at : null,
+      data: records[0]
+    });
+
+  } catch (error) {
+    console.error('Failed to look up contact:', error);
+    return res.status(500).json({ 
+      error: 'Failed to retrieve contact',
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,96 @@
+// pages/api/deal-velocity.js
+const {
+  getTimeInStage,
+  getStageConversion,
+  getWinLossVelocity
+} = require('../../lib/db/deal-history');
+
+/**
+ * Pipeline velocity from the deal stage-change history (ac_deal_history)
+ * GET /api/deal-velocity                              (all pipelines, all recorded history)
+ * GET /api/deal-velocity?pipeline=1&since=2024-01-01  (one pipeline, changes since a date)
+ *
+ * Returns:
+ *   timeInStage - Average/median hours deals spent in each stage before moving on
+ *   conversion  - Per stage: deals that entered it and deals that advanced to a later stage or were won
+ *   winLoss     - Per pipeline: won/lost deal counts and average/median days from creation
+ *
+ * History starts with the first deals sync after migrations/010_deal_history.sql,
+ * so deals that already existed then have no known entry time for their first stage
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { pipeline, since } = req.query;
+
+  if (pipeline !== undefined && !/^\d+$/.test(pipeline)) {
+    return res.status(400).json({ error: 'Invalid pipeline parameter. Must be a pipeline id' });
+  }
+
+  if (since !== undefined && Number.isNaN(Date.parse(since))) {
+    return res.status(400).json({ error: 'Invalid since parameter. Must be an ISO 8601 date or timestamp' });
+  }
+
+  const options = {
+    pipelineId: pipeline !== undefined ? parseInt(pipeline) : null,
+    since: since !== undefined ? new Date(since).toISOString() : null
+  };
+
+  try {
+    const [timeInStage, conversion, winLoss] = await Promise.all([
+      getTimeInStage(options),
+      getStageConversion(options),
+      getWinLossVelocity(options)
+    ]);
+
+    return res.status(200).json({
+      pipeline: options.pipelineId,
+      since: options.since,
+      timeInStage: timeInStage.map(row => ({
+        pipelineId: row.pipeline_id,
+        pipelineTitle: row.pipeline_title,
+        stageId: row.stage_id,
+        stageTitle: row.stage_title,
+        stageOrder: row.stage_order,
+        completedStays: parseInt(row.completed_stays),
+        avgHours: toNumber(row.avg_hours),
+        medianHours: toNumber(row.median_hours)
+      })),
+      conversion: conversion.map(row => {
+        const entered = parseInt(row.entered);
+        const advanced = parseInt(row.advanced);
+        return {
+          pipelineId: row.pipeline_id,
+          pipelineTitle: row.pipeline_title,
+          stageId: row.stage_id,
+          stageTitle: row.stage_title,
+          stageOrder: row.stage_order,
+          entered,
+          advanced,
+          conversionRate: entered > 0 ? Math.round((advanced / entered) * 10000) / 10000 : null
+        };
+      }),
+      winLoss: winLoss.map(row => ({
+        pipelineId: row.pipeline_id,
+        pipelineTitle: row.pipeline_title,
+        outcome: row.outcome,
+        deals: parseInt(row.deals),
+        avgDays: toNumber(row.avg_days),
+        medianDays: toNumber(row.median_days)
+      }))
+    });
+
+  } catch (error) {
+    console.error('Failed to compute deal velocity:', error);
+    return res.status(500).json({ 
+      error: 'Failed to compute deal velocity',
+      message: error.message
+    });
+  }
+}
+
+function toNumber(value) {
+  return value === null || value === undefined ? null : Number(value);
+}
@@ -0,0 +1,60 @@
+// pages/api/deal.js
+const { usesRelationalStorage, findRecords } = require('../../lib/db/storage');
+const { getPointInTimeError } = require('../../lib/query/point-in-time');
+
+/**
+ * Look up a single synced deal
+ * GET /api/deal?id=456
+ * GET /api/deal?id=456&snapshot=42  (from a specific snapshot)
+ *
+ * Served from the record index, so only the batch holding the deal is decompressed
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { id, snapshot, asOf } = req.query;
+
+  if (!id || !/^\d+$/.test(id)) {
+    return res.status(400).json({ 
+      error: 'Invalid id parameter. Must be an ActiveCampaign deal id' 
+    });
+  }
+
+  const pointInTimeError = getPointInTimeError(req.query);
+  if (pointInTimeError) {
+    return res.status(400).json({ error: pointInTimeError });
+  }
+
+  if (usesRelationalStorage('deals') && (snapshot !== undefined || asOf !== undefined)) {
+    return res.status(400).json({ 
+      error: 'Point-in-time reads are only supported with STORAGE_BACKEND=blob' 
+    });
+  }
+
+  try {
+    const { records, snapshot: snapshotRow } = await findRecords('deals', { id }, { snapshot, asOf });
+
+    if (records.length === 0) {
+      return res.status(404).json({ 
+        error: 'Deal not found',
+        message: `No deal with id ${id}`
+      });
+    }
+
+    return res.status(200).json({
+      type: 'deals',
+      snapshotId: snapshotRow ? snapshotRow.id : null,
+      syncedAt: snapshotRow ? snapshotRow.activated_at : null,
+      data: records[0]
+    });
+
+  } catch (error) {
+    console.error('Failed to look up deal:', error);
+    return res.status(500).json({ 
+      error: 'Failed to retrieve deal',
+      message: error.message
+    });
+  }
+}
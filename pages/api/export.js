@@ -0,0 +1,179 @@
+// pages/api/export.js
+const zlib = require('zlib');
+const { once } = require('events');
+const {
+  usesRelationalStorage,
+  resolveSnapshot,
+  iterateSnapshotRecords
+} = require('../../lib/db/storage');
+const { iterateRecordsRelational } = require('../../lib/db/relational-storage');
+const { getEntityNames } = require('../../lib/sync/registry');
+const { getPointInTimeError } = require('../../lib/query/point-in-time');
+const { parseQueryOptions, matchesFilters, projectRecord } = require('../../lib/query/filters');
+const { flattenRecord, collectColumns, orderColumns, toCsvRow } = require('../../lib/utils/csv');
+
+const CONTENT_TYPES = {
+  ndjson: 'application/x-ndjson; charset=utf-8',
+  csv: 'text/csv; charset=utf-8'
+};
+
+/**
+ * Stream synced data as gzipped NDJSON or CSV, one stored batch at a time
+ * GET /api/export?type=contacts&format=csv
+ * GET /api/export?type=deals&format=ndjson&filter[stageData.title]=Won&fields=id,title,value
+ *
+ * Accepts the snapshot/asOf and filter/fields parameters of /api/query-data (sorting is not supported).
+ * CSV flattens custom fields into customFields.<perstag or label> columns (see lib/utils/csv.js)
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { type, format = 'ndjson', snapshot, asOf } = req.query;
+
+  const types = getEntityNames();
+  if (!type || !types.includes(type)) {
+    return res.status(400).json({ 
+      error: `Invalid type parameter. Must be one of: ${types.join(', ')}` 
+    });
+  }
+
+  if (!CONTENT_TYPES[format]) {
+    return res.status(400).json({ 
+      error: 'Invalid format parameter. Must be "ndjson" or "csv"' 
+    });
+  }
+
+  const pointInTimeError = getPointInTimeError(req.query);
+  if (pointInTimeError) {
+    return res.status(400).json({ error: pointInTimeError });
+  }
+
+  let queryOptions;
+  try {
+    queryOptions = parseQueryOptions(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  const { filters, sort, fields } = queryOptions;
+
+  if (sort.length > 0) {
+    return res.status(400).json({ 
+      error: 'Sorting is not supported for exports' 
+    });
+  }
+
+  try {
+    let readBatches;
+    let columns = null;
+    let fileName = type;
+
+    if (usesRelationalStorage(type)) {
+      if (snapshot !== undefined || asOf !== undefined) {
+        return res.status(400).json({ 
+          error: 'Point-in-time reads are only supported with STORAGE_BACKEND=blob' 
+        });
+      }
+
+      readBatches = () => iterateRecordsRelational(type);
+    } else {
+      const snapshotRow = await resolveSnapshot(type, { snapshot, asOf });
+
+      if (!snapshotRow) {
+        return res.status(404).json({ 
+          error: `No ${type} data found`,
+          message: snapshot !== undefined || asOf !== undefined
+            ? 'No snapshot matches the requested snapshot/asOf (it may be outside SNAPSHOT_RETENTION_DAYS)'
+            : 'No sync has been completed yet'
+        });
+      }
+
+      columns = snapshotRow.columns;
+      fileName = `${type}-snapshot-${snapshotRow.id}`;
+      readBatches = () => iterateSnapshotRecords(snapshotRow.id);
+    }
+
+    if (format === 'csv') {
+      // Snapshots written before column lists were recorded need a first pass for the header
+      if (!columns) {
+        const columnSet = new Set();
+        for await (const records of readBatches()) {
+          records.forEach(record => collectColumns(record, columnSet));
+        }
+        columns = orderColumns(columnSet);
+      }
+
+      if (fields) {
+        columns = columns.filter(column => fields.some(field => column === field || column.startsWith(`${field}.`)));
+      }
+    }
+
+    res.status(200);
+    res.setHeader('Content-Type', CONTENT_TYPES[format]);
+    res.setHeader('Content-Encoding', 'gzip');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}.${format}"`);
+
+    const gzip = zlib.createGzip();
+    gzip.pipe(res);
+
+    // Respect backpressure so only one batch is ever held in memory
+    const write = async (chunk) => {
+      if (!gzip.write(chunk)) {
+        await once(gzip, 'drain');
+      }
+    };
+
+    if (format === 'csv') {
+      await write(toCsvRow(columns));
+    }
+
+    let exportedRecords = 0;
+
+    for await (const records of readBatches()) {
+      let chunk = '';
+
+      for (const record of records) {
+        if (!matchesFilters(record, filters)) continue;
+
+        if (format === 'csv') {
+          const flat = flattenRecord(record);
+          chunk += toCsvRow(columns.map(column => flat[column]));
+        } else {
+          chunk += JSON.stringify(projectRecord(record, fields)) + '\n';
+        }
+        exportedRecords++;
+      }
+
+      if (chunk) {
+        await write(chunk);
+      }
+    }
+
+    gzip.end();
+    await once(gzip, 'end');
+
+    console.log(`Exported ${exportedRecords} ${type} as ${format}`);
+
+  } catch (error) {
+    console.error('Failed to export data:', error);
+
+    if (!res.headersSent) {
+      return res.status(500).json({ 
+        error: 'Failed to export data',
+        message: error.message
+      });
+    }
+
+    // Headers are gone - abort so the client sees a truncated download rather than a complete one
+    res.destroy(error);
+  }
+}
+
+export const config = {
+  api: {
+    responseLimit: false // Streamed response can be far larger than the default 4MB
+  },
+  maxDuration: 300, // 5 minutes max
+};
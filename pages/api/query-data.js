@@ -1,144 +1,281 @@
 // pages/api/query-data.js
-const { neon } = require('@neondatabase/serverless');
-const zlib = require('zlib');
-const { promisify } = require('util');
+const {
+  usesRelationalStorage,
+  resolveSnapshot,
+  getSnapshotBatches,
+  readBatch
+} = require('../../lib/db/storage');
+const { queryRecordsRelational, iterateRecordsRelational } = require('../../lib/db/relational-storage');
+const { getEntityNames } = require('../../lib/sync/registry');
+const { getPointInTimeError } = require('../../lib/query/point-in-time');
+const { parseQueryOptions, createRecordScanner, projectRecord } = require('../../lib/query/filters');
+const { hashQuery, encodeCursor, decodeCursor } = require('../../lib/query/cursor');
 
-const gunzipAsync = promisify(zlib.gunzip);
+// Larger limits are clamped: a page is built in memory before it is returned
+const MAX_LIMIT = 1000;
 
 /**
  * Query synced ActiveCampaign data
  * GET /api/query-data?type=contacts&limit=100&offset=0
+ * GET /api/query-data?type=deals&asOf=2024-01-15T09:00:00Z  (data as it was at that time)
+ * GET /api/query-data?type=deals&snapshot=42                 (a specific snapshot)
+ * GET /api/query-data?type=deals&filter[stageData.title]=Won&filter[mdate][gte]=2024-01-01&sort=-value&fields=id,title,value
+ *
+ * GET /api/query-data?type=contacts&limit=500&cursor=<nextCursor from the previous page>
+ *
+ * See lib/query/filters.js for the filter/sort/fields syntax and lib/query/cursor.js for cursors
  */
 export default async function handler(req, res) {
   if (req.method !== 'GET') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  const { type, limit = 100, offset = 0 } = req.query;
+  const { type, limit = 100, offset = 0, snapshot, asOf, cursor } = req.query;
 
-  if (!type || !['contacts', 'deals'].includes(type)) {
+  const types = getEntityNames();
+  if (!type || !types.includes(type)) {
     return res.status(400).json({ 
-      error: 'Invalid type parameter. Must be "contacts" or "deals"' 
+      error: `Invalid type parameter. Must be one of: ${types.join(', ')}` 
     });
   }
 
+  const pointInTimeError = getPointInTimeError(req.query);
+  if (pointInTimeError) {
+    return res.status(400).json({ error: pointInTimeError });
+  }
+
+  let queryOptions;
   try {
-    const sql = neon(process.env.DATABASE_URL);
-    
-    // First, get batch IDs only (not the actual data) to avoid memory issues
-    const batchInfo = await sql`
-      SELECT 
-        id,
-        synced_at, 
-        record_count,
-        sync_id
-      FROM ac_sync_data
-      WHERE data_type = ${type}
-      ORDER BY synced_at DESC, id ASC
-    `;
-
-    if (batchInfo.length === 0) {
-      return res.status(404).json({ 
-        error: `No ${type} data found`,
-        message: 'No sync has been completed yet'
+    queryOptions = parseQueryOptions(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  const requestedLimit = parseInt(limit);
+  if (!Number.isInteger(requestedLimit) || requestedLimit < 1) {
+    return res.status(400).json({ error: 'Invalid limit parameter. Must be a positive integer' });
+  }
+
+  const pageOffset = parseInt(offset);
+  if (!Number.isInteger(pageOffset) || pageOffset < 0) {
+    return res.status(400).json({ error: 'Invalid offset parameter. Must be a non-negative integer' });
+  }
+
+  const { filters, sort, fields } = queryOptions;
+  const pageLimit = Math.min(requestedLimit, MAX_LIMIT);
+  const isSorted = sort.length > 0;
+
+  // A cursor already pins the snapshot and position it was issued for
+  const queryHash = hashQuery(type, filters, sort);
+  let position = null;
+
+  if (cursor !== undefined) {
+    if (snapshot !== undefined || asOf !== undefined) {
+      return res.status(400).json({ 
+        error: 'A cursor already pins its snapshot; do not combine it with snapshot or asOf' 
       });
     }
 
-    // Get the latest sync timestamp
-    const latestSyncTime = batchInfo[0].synced_at;
-    
-    // Filter to only get batch IDs from the latest sync
-    const latestBatchIds = batchInfo
-      .filter(row => {
-        const rowTime = new Date(row.synced_at).getTime();
-        const latestTime = new Date(latestSyncTime).getTime();
-        return rowTime === latestTime;
-      })
-      .map(row => row.id);
+    try {
+      position = decodeCursor(cursor, queryHash);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+  }
 
-    console.log(`Found ${latestBatchIds.length} batches for latest ${type} sync`);
+  // Sorted reads resume by match count, unsorted reads by storage position
+  const sortedStart = position ? position.k || 0 : pageOffset;
 
-    // Now fetch and process batches ONE AT A TIME
-    let allData = [];
-    let successfulBatches = 0;
+  try {
+    // Relational deployments read straight out of the normalized tables
+    if (usesRelationalStorage(type)) {
+      if (snapshot !== undefined || asOf !== undefined) {
+        return res.status(400).json({ 
+          error: 'Point-in-time reads are only supported with STORAGE_BACKEND=blob' 
+        });
+      }
 
-    for (const batchId of latestBatchIds) {
-      try {
-        // Fetch ONE batch at a time
-        const batchRows = await sql`
-          SELECT json_data_compressed
-          FROM ac_sync_data
-          WHERE id = ${batchId}
-        `;
-
-        if (batchRows.length === 0 || !batchRows[0].json_data_compressed) {
-          console.warn(`Batch ${batchId} has no data`);
-          continue;
-        }
+      const isFastPath = filters.length === 0 && !isSorted && !position;
+      const result = await queryRecordsRelational(type, {
+        limit: isFastPath ? pageLimit : 0,
+        offset: isFastPath ? pageOffset : 0
+      });
 
-        const row = batchRows[0];
+      if (result.totalRecords === 0) {
+        return res.status(404).json({ 
+          error: `No ${type} data found`,
+          message: 'No sync has been completed yet'
+        });
+      }
 
-        // Convert to Buffer
-        const buffer = Buffer.isBuffer(row.json_data_compressed) 
-          ? row.json_data_compressed 
-          : Buffer.from(row.json_data_compressed);
+      let records = result.records;
+      let totalRecords = result.totalRecords;
+      let hasMore = pageOffset + records.length < totalRecords;
 
-        // Check if it's gzip compressed (magic bytes: 1f 8b)
-        const isGzipped = buffer[0] === 0x1f && buffer[1] === 0x8b;
+      if (!isFastPath) {
+        const scanner = createRecordScanner({
+          filters,
+          sort,
+          offset: isSorted ? sortedStart : (position ? 0 : pageOffset),
+          limit: pageLimit
+        });
 
-        let batch;
-        if (isGzipped) {
-          // Decompress gzipped data
-          const decompressed = await gunzipAsync(buffer);
-          batch = JSON.parse(decompressed.toString('utf8'));
-        } else {
-          // Handle uncompressed JSON (legacy data)
-          batch = JSON.parse(buffer.toString('utf8'));
+        const afterId = !isSorted && position ? position.r : 0;
+        for await (const chunk of iterateRecordsRelational(type, 10000, afterId)) {
+          scanner.add(chunk);
+          if (position && scanner.isComplete()) break;
         }
-        
-        if (!Array.isArray(batch)) {
-          console.error(`Batch ${batchId} is not an array`);
-          continue;
+
+        ({ records, totalRecords, hasMore } = scanner.result());
+
+        // An early-stopped filtered scan doesn't know how many records match in total
+        if (position && !isSorted) {
+          totalRecords = filters.length > 0 ? null : result.totalRecords;
         }
+      }
+
+      let nextCursor = null;
+      if (hasMore && records.length > 0) {
+        nextCursor = encodeCursor(isSorted
+          ? { k: sortedStart + records.length, q: queryHash }
+          : { r: records[records.length - 1].id, q: queryHash });
+      }
+
+      return res.status(200).json({
+        type,
+        syncedAt: result.syncedAt,
+        totalRecords,
+        returnedRecords: records.length,
+        offset: position ? null : pageOffset,
+        limit: pageLimit,
+        nextCursor,
+        data: records.map(record => projectRecord(record, fields))
+      });
+    }
+
+    // Only completed snapshots are read, so a sync in progress is never visible
+    const snapshotRow = await resolveSnapshot(type, position ? { snapshot: position.s } : { snapshot, asOf });
+
+    if (!snapshotRow) {
+      if (position) {
+        return res.status(410).json({
+          error: 'Cursor expired',
+          message: `Snapshot ${position.s} is no longer retained; restart pagination without a cursor`
+        });
+      }
+
+      return res.status(404).json({ 
+        error: `No ${type} data found`,
+        message: snapshot !== undefined || asOf !== undefined
+          ? 'No snapshot matches the requested snapshot/asOf (it may be outside SNAPSHOT_RETENTION_DAYS)'
+          : 'No sync has been completed yet'
+      });
+    }
+
+    // First, get batch IDs only (not the actual data) to avoid memory issues
+    const batches = await getSnapshotBatches(snapshotRow.id);
+    const snapshotTotal = batches.reduce((sum, batch) => sum + (batch.record_count || 0), 0);
 
-        allData = allData.concat(batch);
-        successfulBatches++;
+    let batchesToRead = batches;
+    let scannerOffset = isSorted ? sortedStart : pageOffset;
 
-        // Log progress every 10 batches
-        if (successfulBatches % 10 === 0) {
-          console.log(`Processed ${successfulBatches}/${latestBatchIds.length} batches...`);
+    if (!isSorted && position) {
+      // Resume where the previous page stopped, without decompressing earlier batches
+      batchesToRead = batches.filter(batch => batch.batch_index >= position.b);
+      scannerOffset = 0;
+    } else if (!isSorted && filters.length === 0) {
+      // Without filters or sorting only the batches overlapping the requested page are needed
+      batchesToRead = [];
+      let batchStart = 0;
+      for (const batch of batches) {
+        const batchEnd = batchStart + (batch.record_count || 0);
+        if (batchEnd > pageOffset && batchStart < pageOffset + pageLimit) {
+          if (batchesToRead.length === 0) {
+            scannerOffset = pageOffset - batchStart;
+          }
+          batchesToRead.push(batch);
         }
-        
+        batchStart = batchEnd;
+      }
+    }
+
+    console.log(`Reading ${batchesToRead.length}/${batches.length} batches of ${type} snapshot ${snapshotRow.id}`);
+
+    // Now fetch and process batches ONE AT A TIME
+    const scanner = createRecordScanner({
+      filters,
+      sort,
+      offset: scannerOffset,
+      limit: pageLimit
+    });
+    let successfulBatches = 0;
+
+    for (const { id: batchId, batch_index: batchIndex } of batchesToRead) {
+      let batch;
+      try {
+        // Fetch ONE batch at a time
+        batch = await readBatch(batchId);
       } catch (err) {
         console.error(`Error processing batch ${batchId}:`, err.message);
       }
+
+      // Skipping a batch would return a short page, and a cursor that moves past its records
+      if (!Array.isArray(batch)) {
+        return res.status(500).json({
+          error: 'Failed to read snapshot data',
+          message: `Batch ${batchIndex} of ${type} snapshot ${snapshotRow.id} could not be read; no partial page is returned`
+        });
+      }
+
+      const startOffset = !isSorted && position && batchIndex === position.b ? position.o : 0;
+      scanner.add(batch, batchIndex, startOffset);
+      successfulBatches++;
+
+      // Log progress every 10 batches
+      if (successfulBatches % 10 === 0) {
+        console.log(`Processed ${successfulBatches}/${batchesToRead.length} batches...`);
+      }
+
+      if (position && scanner.isComplete()) {
+        break;
+      }
     }
 
-    console.log(`Successfully processed ${successfulBatches}/${latestBatchIds.length} batches. Total records: ${allData.length}`);
+    const result = scanner.result();
+    const { records, lastPosition } = result;
+    let { totalRecords, hasMore } = result;
 
-    if (allData.length === 0) {
-      return res.status(500).json({
-        error: 'No data could be retrieved',
-        message: `Failed to process all ${latestBatchIds.length} batches.`
-      });
+    if (filters.length === 0) {
+      totalRecords = snapshotTotal;
+      if (!isSorted && !position) {
+        hasMore = pageOffset + records.length < snapshotTotal;
+      }
+    } else if (position && !isSorted) {
+      // An early-stopped filtered scan doesn't know how many records match in total
+      totalRecords = null;
+    }
+
+    let nextCursor = null;
+    if (hasMore && records.length > 0) {
+      nextCursor = encodeCursor(isSorted
+        ? { s: snapshotRow.id, k: sortedStart + records.length, q: queryHash }
+        : { s: snapshotRow.id, b: lastPosition.batch, o: lastPosition.offset, q: queryHash });
     }
 
-    // Apply pagination
-    const paginatedData = allData.slice(
-      parseInt(offset), 
-      parseInt(offset) + parseInt(limit)
-    );
+    console.log(`Successfully processed ${successfulBatches}/${batchesToRead.length} batches. Returning ${records.length} records`);
 
     return res.status(200).json({
       type,
-      syncedAt: latestSyncTime,
-      totalRecords: allData.length,
-      returnedRecords: paginatedData.length,
-      offset: parseInt(offset),
-      limit: parseInt(limit),
-      batches: latestBatchIds.length,
+      syncedAt: snapshotRow.activated_at,
+      snapshotId: snapshotRow.id,
+      totalRecords,
+      returnedRecords: records.length,
+      offset: position ? null : pageOffset,
+      limit: pageLimit,
+      nextCursor,
+      batches: batches.length,
       successfulBatches,
-      data: paginatedData
+      data: records.map(record => projectRecord(record, fields))
     });
 
   } catch (error) {
@@ -153,4 +290,4 @@ export default async function handler(req, res) {
 // Increase timeout for this API route since we're processing many batches
 export const config = {
   maxDuration: 60, // 60 seconds max
-};
\ No newline at end of file
+};
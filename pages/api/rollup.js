@@ -0,0 +1,115 @@
+// pages/api/rollup.js
+const {
+  usesRelationalStorage,
+  resolveSnapshot,
+  iterateSnapshotRecords
+} = require('../../lib/db/storage');
+const { iterateRecordsRelational } = require('../../lib/db/relational-storage');
+const { getEntityNames } = require('../../lib/sync/registry');
+const { getPointInTimeError } = require('../../lib/query/point-in-time');
+const { parseQueryOptions, matchesFilters } = require('../../lib/query/filters');
+const { parseRollupOptions, createRollup } = require('../../lib/query/rollup');
+
+/**
+ * Aggregate synced records by a field
+ * GET /api/rollup?type=deals&groupBy=accountData.name&sum=value      (deal count and value per account)
+ * GET /api/rollup?type=contacts&groupBy=accountData.name             (contacts per account)
+ * GET /api/rollup?type=deals&groupBy=accountData.id&filter[status]=0 (open deals per account)
+ *
+ * Accepts the snapshot/asOf and filter parameters of /api/query-data.
+ * See lib/query/rollup.js for the groupBy/sum syntax
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { type, snapshot, asOf } = req.query;
+
+  const types = getEntityNames();
+  if (!type || !types.includes(type)) {
+    return res.status(400).json({ 
+      error: `Invalid type parameter. Must be one of: ${types.join(', ')}` 
+    });
+  }
+
+  const pointInTimeError = getPointInTimeError(req.query);
+  if (pointInTimeError) {
+    return res.status(400).json({ error: pointInTimeError });
+  }
+
+  let filters;
+  let rollupOptions;
+  try {
+    ({ filters } = parseQueryOptions(req.query));
+    rollupOptions = parseRollupOptions(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    let records;
+    let syncedAt = null;
+    let snapshotId = null;
+
+    if (usesRelationalStorage(type)) {
+      if (snapshot !== undefined || asOf !== undefined) {
+        return res.status(400).json({ 
+          error: 'Point-in-time reads are only supported with STORAGE_BACKEND=blob' 
+        });
+      }
+
+      records = iterateRecordsRelational(type);
+    } else {
+      const snapshotRow = await resolveSnapshot(type, { snapshot, asOf });
+
+      if (!snapshotRow) {
+        return res.status(404).json({ 
+          error: `No ${type} data found`,
+          message: snapshot !== undefined || asOf !== undefined
+            ? 'No snapshot matches the requested snapshot/asOf (it may be outside SNAPSHOT_RETENTION_DAYS)'
+            : 'No sync has been completed yet'
+        });
+      }
+
+      records = iterateSnapshotRecords(snapshotRow.id);
+      syncedAt = snapshotRow.activated_at;
+      snapshotId = snapshotRow.id;
+    }
+
+    // Aggregate ONE batch at a time
+    const rollup = createRollup(rollupOptions);
+    let matchedRecords = 0;
+
+    for await (const batch of records) {
+      const matched = filters.length > 0 ? batch.filter(record => matchesFilters(record, filters)) : batch;
+      rollup.add(matched);
+      matchedRecords += matched.length;
+    }
+
+    const groups = rollup.result();
+
+    return res.status(200).json({
+      type,
+      syncedAt,
+      snapshotId,
+      groupBy: rollupOptions.groupBy,
+      sum: rollupOptions.sum,
+      totalRecords: matchedRecords,
+      totalGroups: groups.length,
+      data: groups
+    });
+
+  } catch (error) {
+    console.error('Failed to roll up data:', error);
+    return res.status(500).json({ 
+      error: 'Failed to aggregate data',
+      message: error.message
+    });
+  }
+}
+
+// Increase timeout for this API route since we're processing many batches
+export const config = {
+  maxDuration: 60, // 60 seconds max
+};
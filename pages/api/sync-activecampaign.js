@@ -1,12 +1,26 @@
 // pages/api/sync-activecampaign.js
-const { syncContacts } = require('../../lib/sync/contacts');
-const { syncDeals } = require('../../lib/sync/deals');
-const { storeSyncMetadata } = require('../../lib/db/sync-metadata');
+const { runSync, recordSyncFailure, SyncLockedError } = require('../../lib/sync/orchestrator');
+const { notifySyncCompleted } = require('../../lib/webhooks/outbound');
+const { getEntityNames } = require('../../lib/sync/registry');
+
+// Stop starting page fetches this long into the run, leaving room under maxDuration to store
+// what was fetched. Unfinished entities pause and the next invocation resumes their checkpoints
+const TIME_BUDGET_SECONDS = parseInt(process.env.SYNC_TIME_BUDGET_SECONDS || '240');
 
 /**
  * ActiveCampaign to Vercel Postgres Sync
  * Runs via GitHub Actions every 15 minutes
- * Fetches complete datasets for contacts and deals
+ * Fetches every registered entity (lib/sync/registry.js) incrementally where supported (full resync with ?full=true)
+ * Large fetches are checkpointed per page, so an account too big for one invocation syncs across several
+ * Responds 409 without syncing while another run holds any entity's lock (see ac_sync_locks)
+ * Webhook deliveries are only queued; POST /api/webhook-deliveries?status=pending sends them
+ *
+ * Query parameters (recorded in ac_sync_logs.options):
+ *   entities=contacts,deals - Sync only these entities
+ *   full=true               - Force a full resync
+ *   reconcile=true          - Check for deleted records even if not yet due
+ *   dryRun=true             - Fetch and enrich without writing anything (no webhooks either)
+ *   maxPages=5              - Fetch at most this many pages per entity; cut-short entities are not stored
  */
 export default async function handler(req, res) {
   // Add debug logs at the very start
@@ -33,89 +47,94 @@ export default async function handler(req, res) {
   const syncStartTime = Date.now();
   const syncId = `sync-${syncStartTime}`;
 
-  console.log(`[${syncId}] Starting ActiveCampaign sync at ${new Date().toISOString()}`);
+  // ?full=true forces a full resync instead of an incremental one
+  const forceFull = req.query.full === 'true' || req.query.full === '1';
+  // ?reconcile=true checks for records deleted in ActiveCampaign even if not yet due
+  const forceReconcile = req.query.reconcile === 'true' || req.query.reconcile === '1';
+  // ?dryRun=true fetches and enriches without writing
+  const dryRun = req.query.dryRun === 'true' || req.query.dryRun === '1';
+
+  let entities = null;
+  if (req.query.entities !== undefined) {
+    const entityNames = getEntityNames();
+    entities = String(req.query.entities).split(',').map(name => name.trim()).filter(Boolean);
+
+    if (entities.length === 0 || entities.some(name => !entityNames.includes(name))) {
+      return res.status(400).json({ 
+        error: `Invalid entities parameter. Must be a comma-separated list of: ${entityNames.join(', ')}` 
+      });
+    }
+  }
+
+  let maxPages = null;
+  if (req.query.maxPages !== undefined) {
+    maxPages = parseInt(req.query.maxPages);
+
+    if (!/^\d+$/.test(req.query.maxPages) || maxPages < 1) {
+      return res.status(400).json({ error: 'Invalid maxPages parameter. Must be a positive integer' });
+    }
+  }
+
+  const options = { entities, forceFull, forceReconcile, dryRun, maxPages };
+
+  console.log(`[${syncId}] Starting ActiveCampaign sync at ${new Date().toISOString()}${forceFull ? ' (full resync requested)' : ''}${dryRun ? ' (dry run)' : ''}`);
 
   try {
-    // Run both syncs in parallel for efficiency
-    const [contactsResult, dealsResult] = await Promise.allSettled([
-      syncContacts(syncId),
-      syncDeals(syncId)
-    ]);
+    const deadline = syncStartTime + TIME_BUDGET_SECONDS * 1000;
+    const { results, overallSuccess } = await runSync(syncId, { ...options, deadline });
 
     const syncEndTime = Date.now();
     const totalDuration = syncEndTime - syncStartTime;
 
-    // Process results
-    const contactsSuccess = contactsResult.status === 'fulfilled';
-    const dealsSuccess = dealsResult.status === 'fulfilled';
-
     const response = {
       syncId,
       timestamp: new Date().toISOString(),
       durationMs: totalDuration,
       durationMinutes: (totalDuration / 60000).toFixed(2),
-      contacts: contactsSuccess ? {
-        success: true,
-        recordCount: contactsResult.value.recordCount,
-        durationMs: contactsResult.value.durationMs
-      } : {
-        success: false,
-        error: contactsResult.reason.message
-      },
-      deals: dealsSuccess ? {
-        success: true,
-        recordCount: dealsResult.value.recordCount,
-        durationMs: dealsResult.value.durationMs
-      } : {
-        success: false,
-        error: dealsResult.reason.message
-      }
+      ...results
     };
 
-    // Store sync metadata for monitoring
-    try {
-      await storeSyncMetadata({
-        syncId,
-        timestamp: new Date(),
-        totalDuration,
-        contactsSuccess,
-        contactsCount: contactsSuccess ? contactsResult.value.recordCount : 0,
-        contactsError: contactsSuccess ? null : contactsResult.reason.message,
-        dealsSuccess,
-        dealsCount: dealsSuccess ? dealsResult.value.recordCount : 0,
-        dealsError: dealsSuccess ? null : dealsResult.reason.message
-      });
-    } catch (metadataError) {
-      console.error(`[${syncId}] Failed to store sync metadata:`, metadataError);
-    }
-
-    const overallSuccess = contactsSuccess && dealsSuccess;
     console.log(`[${syncId}] Sync completed - Overall: ${overallSuccess ? 'SUCCESS' : 'PARTIAL/FAILED'}`);
     console.log(`[${syncId}] Total duration: ${(totalDuration / 1000).toFixed(2)}s`);
 
-    return res.status(overallSuccess ? 200 : 207).json(response);
+    const statusCode = overallSuccess ? 200 : 207;
+
+    if (!dryRun) {
+      await notifySyncCompleted(syncId, {
+        status: overallSuccess ? 'succeeded' : 'partial',
+        statusCode,
+        durationMs: totalDuration,
+        results
+      });
+    }
+
+    return res.status(statusCode).json(response);
 
   } catch (error) {
+    if (error instanceof SyncLockedError) {
+      return res.status(409).json({
+        syncId,
+        error: 'Sync already in progress',
+        message: error.message,
+        holders: error.holders
+      });
+    }
+
     const syncEndTime = Date.now();
     const totalDuration = syncEndTime - syncStartTime;
 
     console.error(`[${syncId}] Critical sync error:`, error);
 
     // Store failure metadata
-    try {
-      await storeSyncMetadata({
-        syncId,
-        timestamp: new Date(),
-        totalDuration,
-        contactsSuccess: false,
-        contactsCount: 0,
-        contactsError: error.message,
-        dealsSuccess: false,
-        dealsCount: 0,
-        dealsError: error.message
+    await recordSyncFailure(syncId, totalDuration, error, options);
+
+    if (!dryRun) {
+      await notifySyncCompleted(syncId, {
+        status: 'failed',
+        statusCode: 500,
+        durationMs: totalDuration,
+        error: error.message
       });
-    } catch (metadataError) {
-      console.error(`[${syncId}] Failed to store error metadata:`, metadataError);
     }
 
     return res.status(500).json({
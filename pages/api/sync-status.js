@@ -1,5 +1,10 @@
 // pages/api/sync-status.js
 const { getSyncHistory, getSyncStats } = require('../../lib/db/sync-metadata');
+const { usesRelationalStorage, listSnapshots } = require('../../lib/db/storage');
+const { getRelationalSummary } = require('../../lib/db/relational-storage');
+const { getEntityNames } = require('../../lib/sync/registry');
+const { listCheckpoints } = require('../../lib/db/checkpoints');
+const { getActiveLocks } = require('../../lib/db/sync-locks');
 const { neon } = require('@neondatabase/serverless');
 
 /**
@@ -13,14 +18,20 @@ export default async function handler(req, res) {
 
   try {
     // Get latest sync info and statistics
-    const [history, stats, latestData] = await Promise.all([
+    // Dry runs show up in the history but never as the current status, since they stored nothing
+    const [[latestSync], history, stats, latestData, resumableSyncs, runningSyncs] = await Promise.all([
+      getSyncHistory(1, { excludeDryRuns: true }),
       getSyncHistory(10),
       getSyncStats(),
-      getLatestDataInfo()
+      getLatestDataInfo(),
+      getResumableSyncs(),
+      getRunningSyncs()
     ]);
 
     return res.status(200).json({
-      currentStatus: history[0] || null,
+      currentStatus: latestSync || null,
+      syncInProgress: runningSyncs.length > 0,
+      runningSyncs,
       recentHistory: history,
       statistics: {
         totalSyncs: parseInt(stats.total_syncs) || 0,
@@ -35,10 +46,8 @@ export default async function handler(req, res) {
         avgContactsCount: Math.round(stats.avg_contacts_count) || 0,
         avgDealsCount: Math.round(stats.avg_deals_count) || 0
       },
-      latestData: {
-        contacts: latestData.contacts,
-        deals: latestData.deals
-      }
+      latestData,
+      resumableSyncs
     });
 
   } catch (error) {
@@ -50,41 +59,107 @@ export default async function handler(req, res) {
   }
 }
 
+/**
+ * Describe the stored data of every registered entity
+ * @returns {Promise<Object>} Info keyed by entity name (null if nothing is stored yet)
+ */
 async function getLatestDataInfo() {
+  const entityNames = getEntityNames();
+  const info = Object.fromEntries(entityNames.map(name => [name, null]));
+
   try {
     const sql = neon(process.env.DATABASE_URL);
+
+    const relationalNames = entityNames.filter(name => usesRelationalStorage(name));
+    const snapshotNames = entityNames.filter(name => !usesRelationalStorage(name));
+
+    const summaries = await Promise.all(relationalNames.map(name => getRelationalSummary(name)));
+    relationalNames.forEach((name, index) => {
+      info[name] = { lastSynced: summaries[index].syncedAt, recordCount: summaries[index].recordCount };
+    });
+
+    if (snapshotNames.length === 0) {
+      return info;
+    }
+
+    // Report the active snapshot of each type (a sync in progress is not visible yet)
     const result = await sql`
       SELECT 
         data_type,
-        synced_at,
+        activated_at AS synced_at,
         record_count,
         sync_duration_ms
-      FROM ac_sync_data
-      WHERE data_type IN ('contacts', 'deals')
-      AND synced_at = (
-        SELECT MAX(synced_at) 
-        FROM ac_sync_data as s2 
-        WHERE s2.data_type = ac_sync_data.data_type
-      )
+      FROM ac_snapshots
+      WHERE data_type = ANY(${snapshotNames})
+      AND status = 'active'
       ORDER BY data_type
     `;
 
-    const info = {
-      contacts: null,
-      deals: null
-    };
+    // Snapshots available for point-in-time reads (?snapshot= / ?asOf= on /api/query-data)
+    const snapshotLists = await Promise.all(snapshotNames.map(name => listSnapshots(name, 20)));
+    const snapshots = Object.fromEntries(snapshotNames.map((name, index) => [name, snapshotLists[index]]));
 
     result.forEach(row => {
       info[row.data_type] = {
         lastSynced: row.synced_at,
         recordCount: row.record_count,
-        syncDurationMs: row.sync_duration_ms
+        syncDurationMs: row.sync_duration_ms,
+        snapshots: snapshots[row.data_type].map(snapshot => ({
+          id: snapshot.id,
+          syncId: snapshot.sync_id,
+          status: snapshot.status,
+          recordCount: snapshot.record_count,
+          activatedAt: snapshot.activated_at
+        }))
       };
     });
 
     return info;
   } catch (error) {
     console.error('Failed to get latest data info:', error);
-    return { contacts: null, deals: null };
+    return info;
+  }
+}
+
+/**
+ * Describe interrupted page fetches the next sync will resume
+ * @returns {Promise<Array>} One entry per checkpointed entity
+ */
+async function getResumableSyncs() {
+  try {
+    const checkpoints = await listCheckpoints();
+    return checkpoints.map(checkpoint => ({
+      entity: checkpoint.entity,
+      syncId: checkpoint.sync_id,
+      syncMode: checkpoint.sync_mode,
+      pagination: checkpoint.pagination,
+      pagesCompleted: checkpoint.pages_completed,
+      totalPages: checkpoint.total_pages,
+      totalRecords: checkpoint.total_records,
+      startedAt: checkpoint.started_at,
+      updatedAt: checkpoint.updated_at
+    }));
+  } catch (error) {
+    console.error('Failed to get sync checkpoints:', error);
+    return [];
+  }
+}
+
+/**
+ * Describe the sync locks currently held (expired leases of crashed runs are left out)
+ * @returns {Promise<Array>} One entry per locked entity
+ */
+async function getRunningSyncs() {
+  try {
+    const locks = await getActiveLocks();
+    return locks.map(lock => ({
+      entity: lock.entity,
+      syncId: lock.sync_id,
+      acquiredAt: lock.acquired_at,
+      expiresAt: lock.expires_at
+    }));
+  } catch (error) {
+    console.error('Failed to get sync locks:', error);
+    return [];
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,115 @@
+// pages/api/webhook-deliveries.js
+const { listDeliveries } = require('../../lib/db/webhooks');
+const { deliverPending, replayDelivery } = require('../../lib/webhooks/outbound');
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+const MAX_LIMIT = 200;
+// No new delivery starts after this, so the ones in flight (up to ~2 minutes each) finish within maxDuration
+const DRAIN_SECONDS = 150;
+
+/**
+ * Inspect and replay outbound webhook deliveries (ac_webhook_deliveries)
+ * GET  /api/webhook-deliveries?status=failed&webhookId=1&limit=50  (newest first)
+ * POST /api/webhook-deliveries?id=123                             (replay one delivery)
+ * POST /api/webhook-deliveries?status=failed&limit=20             (replay the latest failed deliveries)
+ * POST /api/webhook-deliveries?status=pending&limit=200           (send queued deliveries, oldest first)
+ *
+ * Requires the CRON_SECRET bearer token in production, like /api/sync-activecampaign
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (process.env.NODE_ENV === 'production') {
+    if (req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+  }
+
+  const { id, status, webhookId, limit = 50 } = req.query;
+
+  if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+    return res.status(400).json({ 
+      error: `Invalid status parameter. Must be one of: ${DELIVERY_STATUSES.join(', ')}` 
+    });
+  }
+
+  if (webhookId !== undefined && !/^\d+$/.test(webhookId)) {
+    return res.status(400).json({ error: 'Invalid webhookId parameter. Must be a webhook id' });
+  }
+
+  if (id !== undefined && !/^\d+$/.test(id)) {
+    return res.status(400).json({ error: 'Invalid id parameter. Must be a delivery id' });
+  }
+
+  const pageLimit = parseInt(limit);
+  if (!Number.isInteger(pageLimit) || pageLimit < 1 || pageLimit > MAX_LIMIT) {
+    return res.status(400).json({ error: `Invalid limit parameter. Must be between 1 and ${MAX_LIMIT}` });
+  }
+
+  const listOptions = {
+    status: status !== undefined ? status : null,
+    webhookId: webhookId !== undefined ? parseInt(webhookId) : null,
+    limit: pageLimit
+  };
+
+  try {
+    if (req.method === 'GET') {
+      const deliveries = await listDeliveries(listOptions);
+      return res.status(200).json({ count: deliveries.length, data: deliveries });
+    }
+
+    if (id !== undefined) {
+      let outcome;
+      try {
+        outcome = await replayDelivery(id);
+      } catch (error) {
+        return res.status(409).json({ error: error.message });
+      }
+
+      if (!outcome) {
+        return res.status(404).json({ error: `Delivery ${id} not found` });
+      }
+
+      return res.status(200).json({ count: 1, replayed: [outcome] });
+    }
+
+    if (status === 'pending') {
+      const drained = await deliverPending({ limit: pageLimit, deadline: Date.now() + DRAIN_SECONDS * 1000 });
+      return res.status(200).json({ count: drained.delivered + drained.failed, ...drained });
+    }
+
+    if (status !== 'failed') {
+      return res.status(400).json({ 
+        error: 'Pass id, status=pending to send queued deliveries, or status=failed to replay failed deliveries' 
+      });
+    }
+
+    // Oldest first, so receivers see events in their original order
+    const deliveries = (await listDeliveries(listOptions)).reverse();
+    const replayed = [];
+
+    for (const delivery of deliveries) {
+      try {
+        replayed.push(await replayDelivery(delivery.id));
+      } catch (error) {
+        replayed.push({ id: String(delivery.id), delivered: false, error: error.message });
+      }
+    }
+
+    return res.status(200).json({ count: replayed.length, replayed });
+
+  } catch (error) {
+    console.error('Failed to process webhook deliveries:', error);
+    return res.status(500).json({ 
+      error: 'Failed to process webhook deliveries',
+      message: error.message
+    });
+  }
+}
+
+// Deliveries retry with backoff
+export const config = {
+  maxDuration: 300,
+};
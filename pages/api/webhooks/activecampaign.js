@@ -0,0 +1,120 @@
+// pages/api/webhooks/activecampaign.js
+const crypto = require('crypto');
+const { getEntity } = require('../../../lib/sync/registry');
+const { patchEntityRecord } = require('../../../lib/sync/patch');
+const { notifyRecordPatched } = require('../../../lib/webhooks/outbound');
+
+/**
+ * ActiveCampaign webhook receiver for near-real-time updates between syncs
+ * POST /api/webhooks/activecampaign
+ * Headers: X-Webhook-Secret: <AC_WEBHOOK_SECRET>
+ *
+ * ActiveCampaign posts form-encoded events (type=deal_update&deal[id]=42&...). The affected
+ * contact or deal is fetched again, enriched like the sync and patched into the stored data
+ * (see lib/sync/patch.js). Senders that cannot set headers, like ActiveCampaign's own webhooks,
+ * can pass ?secret=<AC_WEBHOOK_SECRET> instead; the URL then shows up in access logs, so keep
+ * those private and rotate the secret if they are shared
+ */
+
+// Event type → entity, and whether the event means the record is gone
+// ActiveCampaign reports a deal moving to another stage or pipeline as deal_update; the move
+// is recorded in ac_deal_history when the deal is patched
+const EVENT_TYPES = {
+  subscribe: { entity: 'contacts', deleted: false },
+  update: { entity: 'contacts', deleted: false },
+  unsubscribe: { entity: 'contacts', deleted: false },
+  deal_add: { entity: 'deals', deleted: false },
+  deal_update: { entity: 'deals', deleted: false },
+  deal_delete: { entity: 'deals', deleted: true }
+};
+
+// Where each entity's id is in the payload (contact[id] / deal[id])
+const PAYLOAD_KEYS = {
+  contacts: 'contact',
+  deals: 'deal'
+};
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const expectedSecret = process.env.AC_WEBHOOK_SECRET;
+  if (!expectedSecret) {
+    console.error('AC_WEBHOOK_SECRET is not configured, rejecting webhook');
+    return res.status(503).json({ error: 'Webhook receiver is not configured' });
+  }
+
+  const providedSecret = req.headers['x-webhook-secret'] || req.query.secret;
+  if (!providedSecret || !secretsMatch(String(providedSecret), expectedSecret)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const body = req.body || {};
+  const eventType = body.type;
+  const event = EVENT_TYPES[eventType];
+
+  // Acknowledge events we do not handle, so ActiveCampaign keeps the webhook enabled
+  if (!event) {
+    return res.status(200).json({ ignored: true, type: eventType || null });
+  }
+
+  const recordId = getPayloadField(body, PAYLOAD_KEYS[event.entity], 'id');
+  if (!recordId || !/^\d+$/.test(String(recordId))) {
+    return res.status(400).json({ error: `Missing ${PAYLOAD_KEYS[event.entity]}[id] in ${eventType} event` });
+  }
+
+  const syncId = `webhook-${Date.now()}`;
+  console.log(`[${syncId}] Received ${eventType} for ${event.entity} ${recordId}`);
+
+  try {
+    const result = await patchEntityRecord(getEntity(event.entity), String(recordId), syncId, {
+      deleted: event.deleted
+    });
+
+    // Queued only; the delivery drain sends them (see pages/api/webhook-deliveries.js)
+    if (result.action === 'upserted' || result.action === 'deleted') {
+      await notifyRecordPatched(syncId);
+    }
+
+    return res.status(200).json({
+      syncId,
+      type: eventType,
+      entity: event.entity,
+      recordId: String(recordId),
+      ...result
+    });
+
+  } catch (error) {
+    console.error(`[${syncId}] Failed to apply ${eventType} for ${event.entity} ${recordId}:`, error);
+    return res.status(500).json({
+      syncId,
+      error: 'Failed to apply webhook event',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Compare secrets in constant time
+ */
+function secretsMatch(provided, expected) {
+  const a = crypto.createHash('sha256').update(provided).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Read a bracketed form field, parsed either flat ('deal[id]') or nested ({ deal: { id } })
+ */
+function getPayloadField(body, object, field) {
+  if (body[object] && typeof body[object] === 'object' && body[object][field] !== undefined) {
+    return body[object][field];
+  }
+  return body[`${object}[${field}]`];
+}
+
+// Patching reads the entity's lookups and rewrites one stored batch
+export const config = {
+  maxDuration: 60,
+};
@@ -1,109 +1,150 @@
 // scripts/sync-standalone.js
-const { syncContacts } = require('../lib/sync/contacts');
-const { syncDeals } = require('../lib/sync/deals');
-const { storeSyncMetadata } = require('../lib/db/sync-metadata');
+const { runSync, recordSyncFailure, SyncLockedError } = require('../lib/sync/orchestrator');
+const { getEntityNames } = require('../lib/sync/registry');
+const { notifySyncCompleted, deliverPending } = require('../lib/webhooks/outbound');
 
-async function runSync() {
+/**
+ * Value of a --name=value flag
+ * @param {string} name - Flag name without dashes
+ * @returns {string|undefined} The value, or undefined if the flag is absent
+ */
+function getFlagValue(name) {
+  const prefix = `--${name}=`;
+  const arg = process.argv.find(value => value.startsWith(prefix));
+  return arg === undefined ? undefined : arg.slice(prefix.length);
+}
+
+async function main() {
   const syncStartTime = Date.now();
   const syncId = `sync-${syncStartTime}`;
 
-  console.log(`[${syncId}] Starting ActiveCampaign sync at ${new Date().toISOString()}`);
+  // --full forces a full resync instead of an incremental one
+  const forceFull = process.argv.includes('--full');
+  // --reconcile checks for records deleted in ActiveCampaign even if not yet due
+  const forceReconcile = process.argv.includes('--reconcile');
+  // --dry-run fetches and enriches without writing
+  const dryRun = process.argv.includes('--dry-run');
+
+  // --entities=contacts,deals syncs only those entities
+  let entities = null;
+  const entitiesFlag = getFlagValue('entities');
+  if (entitiesFlag !== undefined) {
+    const entityNames = getEntityNames();
+    entities = entitiesFlag.split(',').map(name => name.trim()).filter(Boolean);
+
+    if (entities.length === 0 || entities.some(name => !entityNames.includes(name))) {
+      console.error(`Invalid --entities. Must be a comma-separated list of: ${entityNames.join(', ')}`);
+      process.exit(1);
+    }
+  }
+
+  // --max-pages=5 fetches at most that many pages per entity (cut-short entities are not stored)
+  let maxPages = null;
+  const maxPagesFlag = getFlagValue('max-pages');
+  if (maxPagesFlag !== undefined) {
+    maxPages = parseInt(maxPagesFlag);
+
+    if (!/^\d+$/.test(maxPagesFlag) || maxPages < 1) {
+      console.error('Invalid --max-pages. Must be a positive integer');
+      process.exit(1);
+    }
+  }
+
+  const options = { entities, forceFull, forceReconcile, dryRun, maxPages };
+
+  // No time limit unless SYNC_TIME_BUDGET_SECONDS is set; interrupted fetches resume either way
+  const deadline = process.env.SYNC_TIME_BUDGET_SECONDS
+    ? syncStartTime + parseInt(process.env.SYNC_TIME_BUDGET_SECONDS) * 1000
+    : null;
+
+  console.log(`[${syncId}] Starting ActiveCampaign sync at ${new Date().toISOString()}${forceFull ? ' (full resync requested)' : ''}${dryRun ? ' (dry run)' : ''}`);
   console.log(`Environment check:`);
   console.log(`- AC_API_URL: ${process.env.AC_API_URL ? 'Set' : 'Missing'}`);
   console.log(`- AC_API_KEY: ${process.env.AC_API_KEY ? 'Set' : 'Missing'}`);
   console.log(`- DATABASE_URL: ${process.env.DATABASE_URL ? 'Set' : 'Missing'}`);
 
   try {
-    // Run both syncs in parallel
-    const [contactsResult, dealsResult] = await Promise.allSettled([
-      syncContacts(syncId),
-      syncDeals(syncId)
-    ]);
+    const { results, overallSuccess } = await runSync(syncId, { ...options, deadline });
 
     const syncEndTime = Date.now();
     const totalDuration = syncEndTime - syncStartTime;
 
-    // Process results
-    const contactsSuccess = contactsResult.status === 'fulfilled';
-    const dealsSuccess = dealsResult.status === 'fulfilled';
-
     const summary = {
       syncId,
       timestamp: new Date().toISOString(),
       durationMs: totalDuration,
       durationMinutes: (totalDuration / 60000).toFixed(2),
-      contacts: contactsSuccess ? {
-        success: true,
-        recordCount: contactsResult.value.recordCount,
-        durationMs: contactsResult.value.durationMs
-      } : {
-        success: false,
-        error: contactsResult.reason.message
-      },
-      deals: dealsSuccess ? {
-        success: true,
-        recordCount: dealsResult.value.recordCount,
-        durationMs: dealsResult.value.durationMs
-      } : {
-        success: false,
-        error: dealsResult.reason.message
-      }
+      ...results
     };
 
-    // Store sync metadata
-    try {
-      await storeSyncMetadata({
-        syncId,
-        timestamp: new Date(),
-        totalDuration,
-        contactsSuccess,
-        contactsCount: contactsSuccess ? contactsResult.value.recordCount : 0,
-        contactsError: contactsSuccess ? null : contactsResult.reason.message,
-        dealsSuccess,
-        dealsCount: dealsSuccess ? dealsResult.value.recordCount : 0,
-        dealsError: dealsSuccess ? null : dealsResult.reason.message
-      });
-    } catch (metadataError) {
-      console.error(`[${syncId}] Failed to store sync metadata:`, metadataError);
-    }
-
-    const overallSuccess = contactsSuccess && dealsSuccess;
     console.log(`\n[${syncId}] ========================================`);
     console.log(`[${syncId}] Sync completed - Overall: ${overallSuccess ? 'SUCCESS' : 'PARTIAL/FAILED'}`);
     console.log(`[${syncId}] Total duration: ${(totalDuration / 1000).toFixed(2)}s`);
-    console.log(`[${syncId}] Contacts: ${contactsSuccess ? contactsResult.value.recordCount : 'FAILED'}`);
-    console.log(`[${syncId}] Deals: ${dealsSuccess ? dealsResult.value.recordCount : 'FAILED'}`);
+    Object.entries(results).forEach(([name, result]) => {
+      const outcome = result.skipped
+        ? `not due until ${result.nextSyncAt}`
+        : result.success ? result.recordCount : (result.resumable ? `PAUSED (${result.error})` : 'FAILED');
+      console.log(`[${syncId}] ${name.charAt(0).toUpperCase() + name.slice(1)}: ${outcome}`);
+    });
     console.log(`[${syncId}] ========================================\n`);
 
     console.log(JSON.stringify(summary, null, 2));
 
+    // Same outcome as /api/sync-activecampaign reports (200 or 207)
+    if (!dryRun) {
+      await notifySyncCompleted(syncId, {
+        status: overallSuccess ? 'succeeded' : 'partial',
+        statusCode: overallSuccess ? 200 : 207,
+        durationMs: totalDuration,
+        results
+      });
+      await sendWebhooks(syncId);
+    }
+
     process.exit(overallSuccess ? 0 : 1);
 
   } catch (error) {
+    // Another run is already syncing; this one is skipped rather than failed
+    if (error instanceof SyncLockedError) {
+      console.log(`[${syncId}] Skipped - ${error.message}`);
+      process.exit(0);
+    }
+
     const syncEndTime = Date.now();
     const totalDuration = syncEndTime - syncStartTime;
 
     console.error(`[${syncId}] Critical sync error:`, error);
 
     // Store failure metadata
-    try {
-      await storeSyncMetadata({
-        syncId,
-        timestamp: new Date(),
-        totalDuration,
-        contactsSuccess: false,
-        contactsCount: 0,
-        contactsError: error.message,
-        dealsSuccess: false,
-        dealsCount: 0,
-        dealsError: error.message
+    await recordSyncFailure(syncId, totalDuration, error, options);
+
+    if (!dryRun) {
+      await notifySyncCompleted(syncId, {
+        status: 'failed',
+        statusCode: 500,
+        durationMs: totalDuration,
+        error: error.message
       });
-    } catch (metadataError) {
-      console.error(`[${syncId}] Failed to store error metadata:`, metadataError);
+      await sendWebhooks(syncId);
     }
 
     process.exit(1);
   }
 }
 
-runSync();
\ No newline at end of file
+/**
+ * Send every queued webhook delivery, this run's and any left over (never throws)
+ * @param {string} syncId - Sync identifier for logging
+ */
+async function sendWebhooks(syncId) {
+  try {
+    const { delivered, failed } = await deliverPending();
+    if (delivered + failed > 0) {
+      console.log(`[${syncId}] Webhooks: ${delivered} delivered, ${failed} failed`);
+    }
+  } catch (error) {
+    console.error(`[${syncId}] Failed to send webhooks:`, error);
+  }
+}
+
+main();
\ No newline at end of file